@@ -30,6 +30,17 @@ const ViewerConfig = {
         clearAlpha: 0 // Transparent by default
     },
 
+    // Compressed glTF decoders (bundled locally, see js/libs/README.md)
+    decoders: {
+        dracoPath: 'js/libs/draco/gltf/',
+        basisPath: 'js/libs/basis/'
+    },
+
+    // Shareable links: index.html?model=car.glb&hdri=sunset&preset=clay&bg=ffffff
+    urlParameters: {
+        assetFolder: 'models/' // Relative ?model= / ?hdri= / ?bg= paths resolve against this folder
+    },
+
     // HDRI Presets (Premium 2K quality from Poly Haven)
     hdriPresets: {
         studio: 'https://dl.polyhaven.org/file/ph-assets/HDRIs/hdr/2k/photo_studio_loft_hall_2k.hdr',
@@ -95,15 +106,77 @@ const ViewerConfig = {
 
     // Model defaults
     model: {
-        autoCenter: true,
+        placement: 'center', // 'center' (bounding box centre), 'ground' (rest on Y = 0) or 'origin' (file origin)
         autoScale: true,
-        targetSize: 2, // Units to scale model to
-        enableShadows: true
+        targetSize: 2, // Units to scale each model to (the largest one with sharedLayerScale)
+        sharedLayerScale: false, // Scale every layer by one factor so source units keep their relative sizes
+        autoFitGroup: true, // Also centre/scale all layers together as one composition
+        enableShadows: true,
+        upgradeLegacyMaterials: true, // Convert Phong/Lambert (FBX, OBJ + MTL, 3MF) to MeshPhysicalMaterial on load
+
+        // Material for formats without materials (STL, 3MF placeholders)
+        defaultMaterial: {
+            color: '#c8c8c8',
+            roughness: 0.5,
+            metalness: 0.0,
+            clearcoat: 0.0
+        }
+    },
+
+    // Source up-axis / units applied beneath the layer transform (choices are remembered per file name)
+    importCorrection: {
+        storageKey: 'modelViewer.importCorrections',
+        units: { m: 1, cm: 0.01, mm: 0.001, in: 0.0254, ft: 0.3048 }, // Metres per file unit
+        formatDefaults: {
+            '3mf': { upAxis: 'z', units: 'mm' } // 3MF is Z-up and millimetres unless the file says otherwise
+        }
+    },
+
+    // Geometry optimisation (Inspector → Optimise Geometry, or automatically after each load)
+    optimization: {
+        autoOptimize: false,
+        weldTolerance: 1e-4, // Vertex weld distance in file units
+        lodMinTriangles: 100000, // Meshes above this get a simplified copy shown while interacting
+        lodGridSize: 96 // Vertex clustering cells along the longest side of each mesh
+    },
+
+    // Point cloud defaults (PLY files without faces)
+    pointCloud: {
+        size: 2, // Pixels when attenuation is off
+        sizeAttenuation: true, // Shrink points with distance
+        attenuatedSizeScale: 0.005, // World units per slider step when attenuation is on
+        colorSource: 'vertex', // 'vertex' or 'solid'
+        color: '#ffffff'
+    },
+
+    // Properties a shader preset may set (colours are '#rrggbb'; null or omitted leaves the material's own value)
+    // Physical-only properties are skipped on materials that aren't MeshPhysicalMaterial
+    shaderPresetSchema: {
+        roughness: { min: 0, max: 1 },
+        metalness: { min: 0, max: 1 },
+        transmission: { min: 0, max: 1 },
+        clearcoat: { min: 0, max: 1 },
+        color: { type: 'color' }, // Replaces the base colour texture
+        emissive: { type: 'color' },
+        emissiveIntensity: { min: 0, max: 10 },
+        ior: { min: 1, max: 2.333, physical: true },
+        sheen: { min: 0, max: 1, physical: true },
+        sheenRoughness: { min: 0, max: 1, physical: true },
+        sheenColor: { type: 'color', physical: true },
+        iridescence: { min: 0, max: 1, physical: true },
+        iridescenceIOR: { min: 1, max: 2.333, physical: true },
+        anisotropy: { min: 0, max: 1, physical: true },
+        anisotropyRotation: { min: -Math.PI, max: Math.PI, physical: true }, // Radians
+        thickness: { min: 0, max: 10, physical: true }, // Volume thickness for transmission (model units)
+        attenuationColor: { type: 'color', physical: true },
+        attenuationDistance: { min: 0.01, max: 1000, physical: true } // Distance light travels before taking on attenuationColor
     },
 
     // Shader presets (preserves textures, modifies surface properties only)
+    // The preset dropdown is built from this list followed by the user's saved presets
     shaderPresets: {
         custom: {
+            label: 'Custom (Original)',
             // Original material properties (no override)
             roughness: null,
             metalness: null,
@@ -112,6 +185,7 @@ const ViewerConfig = {
             color: null
         },
         metallic: {
+            label: 'Metallic',
             roughness: 0.1,
             metalness: 1.0,
             transmission: 0.0,
@@ -119,6 +193,7 @@ const ViewerConfig = {
             color: null
         },
         plastic: {
+            label: 'Plastic',
             roughness: 0.3,
             metalness: 0.0,
             transmission: 0.0,
@@ -126,6 +201,7 @@ const ViewerConfig = {
             color: null
         },
         glass: {
+            label: 'Glass',
             roughness: 0.0,
             metalness: 0.0,
             transmission: 0.9,
@@ -133,6 +209,7 @@ const ViewerConfig = {
             color: null
         },
         matte: {
+            label: 'Matte',
             roughness: 1.0,
             metalness: 0.0,
             transmission: 0.0,
@@ -140,6 +217,7 @@ const ViewerConfig = {
             color: null
         },
         glossy: {
+            label: 'Glossy',
             roughness: 0.2,
             metalness: 0.5,
             transmission: 0.0,
@@ -147,14 +225,87 @@ const ViewerConfig = {
             color: null
         },
         clay: {
+            label: 'Clay',
             roughness: 0.8,
             metalness: 0.0,
             transmission: 0.0,
             clearcoat: 0.0,
             color: '#e8e0d5' // Off-white clay color
+        },
+        velvet: {
+            label: 'Velvet',
+            roughness: 0.9,
+            metalness: 0.0,
+            transmission: 0.0,
+            clearcoat: 0.0,
+            color: null,
+            sheen: 1.0,
+            sheenRoughness: 0.5,
+            sheenColor: '#f2e6ff' // Soft highlight at grazing angles
+        },
+        bubble: {
+            label: 'Soap Bubble',
+            roughness: 0.0,
+            metalness: 0.0,
+            transmission: 1.0,
+            clearcoat: 0.0,
+            color: '#ffffff',
+            ior: 1.33,
+            thickness: 0.0,
+            iridescence: 1.0,
+            iridescenceIOR: 1.3
+        },
+        'brushed-aluminium': {
+            label: 'Brushed Aluminium',
+            roughness: 0.35,
+            metalness: 1.0,
+            transmission: 0.0,
+            clearcoat: 0.0,
+            color: '#d4d6d9',
+            anisotropy: 0.8,
+            anisotropyRotation: 0.0
+        },
+        'tinted-glass': {
+            label: 'Tinted Glass',
+            roughness: 0.05,
+            metalness: 0.0,
+            transmission: 1.0,
+            clearcoat: 0.0,
+            color: '#ffffff',
+            ior: 1.5,
+            thickness: 0.5,
+            attenuationColor: '#3d8f6f', // Green bottle tint, deeper through thicker parts
+            attenuationDistance: 0.4
+        },
+        neon: {
+            label: 'Neon',
+            roughness: 0.4,
+            metalness: 0.0,
+            transmission: 0.0,
+            clearcoat: 0.0,
+            color: '#1a1a1a',
+            emissive: '#ff2fd0',
+            emissiveIntensity: 4.0
+        }
+    },
+
+    // Material editor texture slots (colour slots are sRGB, data slots are read linearly)
+    materialTextures: {
+        slots: {
+            map: { label: 'Base Colour', color: true },
+            normalMap: { label: 'Normal', color: false },
+            roughnessMap: { label: 'Roughness', color: false }, // Green channel
+            metalnessMap: { label: 'Metalness', color: false }, // Blue channel
+            emissiveMap: { label: 'Emissive', color: true },
+            alphaMap: { label: 'Alpha', color: false } // Green channel
         }
     },
 
+    // Presets saved from the viewer (Save Preset / Import JSON), kept in this browser
+    userShaderPresets: {
+        storageKey: 'modelViewer.shaderPresets'
+    },
+
     // Transform defaults
     transform: {
         scale: 1.0,
@@ -166,7 +317,7 @@ const ViewerConfig = {
     animation: {
         orbitEnabled: true, // Manual camera control with OrbitControls (enabled by default)
         animationEnabled: false, // Master animation toggle
-        animationMode: 'turntable', // 'turntable', 'sine', or 'light-rotation'
+        animationMode: 'turntable', // 'turntable', 'sine', 'light-rotation', or 'morph'
 
         // Turntable animation settings
         turntableSpeedX: 0.0, // -2 to 2
@@ -183,7 +334,17 @@ const ViewerConfig = {
         sineFrequencyZ: 0, // Hz (0-2)
 
         // Light rotation animation settings
-        lightAnimationSpeed: 1.0 // -5 to 5 (degrees per frame, affects both HDRI and sun)
+        lightAnimationSpeed: 1.0, // -5 to 5 (degrees per frame, affects both HDRI and sun)
+
+        // Morph target animation settings
+        morphDuration: 4 // Seconds to play through all keyframes once (1-20)
+    },
+
+    // Embedded animation clip playback (glTF/FBX)
+    clipPlayback: {
+        autoPlay: true, // Start the first clip as soon as the model loads
+        speed: 1.0, // Playback rate (0-2)
+        loop: true
     },
 
     // Background defaults
@@ -211,10 +372,12 @@ const ViewerConfig = {
         hdriRotationDebounce: 300 // ms
     },
 
-    // File size limits (recommended)
+    // File size limits (enforced on upload) and validation thresholds
     limits: {
         model: 100 * 1024 * 1024, // 100MB
-        backgroundImage: 10 * 1024 * 1024 // 10MB
+        backgroundImage: 10 * 1024 * 1024, // 10MB
+        texture: 20 * 1024 * 1024, // 20MB per material texture upload
+        drawCalls: 500 // Validation warns above this many draw calls per model
     }
 };
 
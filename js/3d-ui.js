@@ -54,6 +54,28 @@ window.addEventListener('DOMContentLoaded', () => {
     const modelRemoveBtn = document.getElementById('model-remove-btn');
     const modelUploadText = document.getElementById('model-upload-text');
 
+    // Load one or more files (e.g. .gltf + .bin + textures) as a single model
+    function loadModelFiles(files) {
+        if (!files || files.length === 0 || !window.viewer) return;
+        window.viewer.loadModel(files);
+    }
+
+    // Label follows the active layer (failed or cancelled loads keep the previous model)
+    window.addEventListener('layersChanged', (e) => {
+        if (!modelUploadText || !modelRemoveBtn) return;
+
+        const active = e.detail.layers.find(layer => layer.id === e.detail.activeId);
+        if (active) {
+            modelUploadText.textContent = active.name.length > 20
+                ? active.name.substring(0, 20) + '...'
+                : active.name;
+            modelRemoveBtn.style.display = 'block';
+        } else {
+            modelUploadText.textContent = 'Upload 3D Model';
+            modelRemoveBtn.style.display = 'none';
+        }
+    });
+
     if (modelUploadBtn && modelUploadInput) {
         modelUploadBtn.addEventListener('click', (e) => {
             if (e.target === modelRemoveBtn) return; // Let remove button handle its own click
@@ -61,14 +83,23 @@ window.addEventListener('DOMContentLoaded', () => {
         });
 
         modelUploadInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file && window.viewer) {
-                window.viewer.loadModel(file);
-                modelUploadText.textContent = file.name.length > 20
-                    ? file.name.substring(0, 20) + '...'
-                    : file.name;
-                modelRemoveBtn.style.display = 'block';
-            }
+            loadModelFiles(e.target.files);
+        });
+
+        // Drag-and-drop several files onto the upload button
+        modelUploadBtn.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            modelUploadBtn.classList.add('active');
+        });
+
+        modelUploadBtn.addEventListener('dragleave', () => {
+            modelUploadBtn.classList.remove('active');
+        });
+
+        modelUploadBtn.addEventListener('drop', (e) => {
+            e.preventDefault();
+            modelUploadBtn.classList.remove('active');
+            loadModelFiles(e.dataTransfer.files);
         });
 
         modelRemoveBtn.addEventListener('click', (e) => {
@@ -76,20 +107,797 @@ window.addEventListener('DOMContentLoaded', () => {
             if (window.viewer) {
                 window.viewer.clearModel();
                 modelUploadInput.value = '';
-                modelUploadText.textContent = 'Upload 3D Model';
-                modelRemoveBtn.style.display = 'none';
             }
         });
     }
 
+    // ========== LAYER CONTROLS ==========
+
+    const layerAddBtn = document.getElementById('layer-add-btn');
+    const layerAddInput = document.getElementById('layer-add-input');
+    const layerList = document.getElementById('layer-list');
+    const layerTransform = document.getElementById('layer-transform');
+    const layerFitGroup = document.getElementById('layer-fit-group');
+    const layerSharedScale = document.getElementById('layer-shared-scale');
+    const layerUpAxis = document.getElementById('layer-up-axis');
+    const layerUnits = document.getElementById('layer-units');
+
+    const layerSliders = {
+        scale: { input: document.getElementById('layer-scale'), value: document.getElementById('layer-scale-value') },
+        x: { input: document.getElementById('layer-pos-x'), value: document.getElementById('layer-pos-x-value') },
+        y: { input: document.getElementById('layer-pos-y'), value: document.getElementById('layer-pos-y-value') },
+        z: { input: document.getElementById('layer-pos-z'), value: document.getElementById('layer-pos-z-value') },
+        rotY: { input: document.getElementById('layer-rot-y'), value: document.getElementById('layer-rot-y-value') }
+    };
+
+    function setLayerSlider(slider, value) {
+        slider.input.value = value;
+        slider.value.textContent = slider === layerSliders.rotY ? `${Math.round(value)}°` : value.toFixed(1);
+    }
+
+    function renderLayerList(detail) {
+        layerList.innerHTML = '';
+
+        detail.layers.forEach(layer => {
+            const row = document.createElement('div');
+            row.className = 'layer-item' +
+                (layer.id === detail.activeId ? ' active' : '') +
+                (layer.visible ? '' : ' hidden-layer');
+
+            const visibility = document.createElement('input');
+            visibility.type = 'checkbox';
+            visibility.checked = layer.visible;
+            visibility.title = 'Visible';
+            visibility.addEventListener('click', (e) => e.stopPropagation());
+            visibility.addEventListener('change', (e) => {
+                window.viewer.setLayerVisible(window.viewer.getLayer(layer.id), e.target.checked);
+            });
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            name.title = layer.name;
+
+            const remove = document.createElement('span');
+            remove.className = 'remove-image';
+            remove.innerHTML = '&times;';
+            remove.title = 'Remove layer';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                window.viewer.removeLayer(window.viewer.getLayer(layer.id));
+            });
+
+            row.append(visibility, name, remove);
+            row.addEventListener('click', () => {
+                window.viewer.selectLayer(window.viewer.getLayer(layer.id));
+            });
+            layerList.appendChild(row);
+        });
+    }
+
+    // Rebuild the list and sync transform sliders / shader preset to the active layer
+    window.addEventListener('layersChanged', (e) => {
+        if (!layerList) return;
+        renderLayerList(e.detail);
+
+        const active = e.detail.layers.find(layer => layer.id === e.detail.activeId);
+        layerTransform.style.display = active ? 'block' : 'none';
+        if (!active) return;
+
+        setLayerSlider(layerSliders.scale, active.transform.scale);
+        setLayerSlider(layerSliders.x, active.transform.position.x);
+        setLayerSlider(layerSliders.y, active.transform.position.y);
+        setLayerSlider(layerSliders.z, active.transform.position.z);
+        setLayerSlider(layerSliders.rotY, active.transform.rotation.y);
+        if (layerUpAxis) layerUpAxis.value = active.correction.upAxis;
+        if (layerUnits) layerUnits.value = active.correction.units;
+
+        const shaderPresetSelect = document.getElementById('shader-preset');
+        if (shaderPresetSelect) shaderPresetSelect.value = active.preset;
+    });
+
+    function updateLayerTransform() {
+        const layer = window.viewer.activeLayer;
+        if (!layer) return;
+
+        const scale = parseFloat(layerSliders.scale.input.value);
+        const position = {
+            x: parseFloat(layerSliders.x.input.value),
+            y: parseFloat(layerSliders.y.input.value),
+            z: parseFloat(layerSliders.z.input.value)
+        };
+        const rotation = { x: 0, y: parseFloat(layerSliders.rotY.input.value), z: 0 };
+
+        window.viewer.updateLayerTransform(layer, scale, position, rotation);
+    }
+
+    if (layerList && window.viewer) {
+        Object.values(layerSliders).forEach(slider => {
+            slider.input.addEventListener('input', (e) => {
+                setLayerSlider(slider, parseFloat(e.target.value));
+                updateLayerTransform();
+            });
+        });
+
+        layerAddBtn.addEventListener('click', () => layerAddInput.click());
+        layerAddInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                window.viewer.loadModel(e.target.files, true);
+            }
+            layerAddInput.value = '';
+        });
+
+        layerFitGroup.addEventListener('change', (e) => {
+            window.viewer.setAutoFitGroup(e.target.checked);
+        });
+
+        if (layerSharedScale) {
+            layerSharedScale.checked = window.viewer.sharedLayerScale;
+            layerSharedScale.addEventListener('change', (e) => {
+                window.viewer.setSharedLayerScale(e.target.checked);
+            });
+        }
+
+        const modelPlacement = document.getElementById('model-placement');
+        if (modelPlacement) {
+            modelPlacement.value = window.viewer.placement;
+            modelPlacement.addEventListener('change', (e) => {
+                window.viewer.setPlacement(e.target.value);
+            });
+        }
+
+        // Up-axis / unit correction for files from Z-up or centimetre/millimetre tools
+        [layerUpAxis, layerUnits].forEach(select => {
+            if (!select) return;
+            select.addEventListener('change', () => {
+                window.viewer.setLayerCorrection(window.viewer.activeLayer, {
+                    upAxis: layerUpAxis.value,
+                    units: layerUnits.value
+                });
+            });
+        });
+    }
+
+    // ========== INSPECTOR ==========
+
+    const inspectorSection = document.getElementById('inspector-section');
+    const inspectorStats = document.getElementById('inspector-stats');
+    const inspectorTree = document.getElementById('inspector-tree');
+
+    function formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+
+    function renderInspectorStats(stats) {
+        const rows = [
+            ['Meshes', stats.meshes.toLocaleString()],
+            ['Vertices', stats.vertices.toLocaleString()],
+            ['Triangles', stats.triangles.toLocaleString()],
+            ['Materials', stats.materials.toLocaleString()],
+            ['Textures', stats.textures.toLocaleString()],
+            ['Est. GPU memory', formatBytes(stats.gpuMemory)]
+        ];
+
+        inspectorStats.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const labelEl = document.createElement('span');
+            labelEl.textContent = label;
+            const valueEl = document.createElement('span');
+            valueEl.textContent = value;
+            inspectorStats.append(labelEl, valueEl);
+        });
+    }
+
+    function createInspectorLabel(node) {
+        const label = document.createElement('span');
+
+        // Visibility checkbox and isolate toggle must not select/expand the node
+        const visibility = document.createElement('input');
+        visibility.type = 'checkbox';
+        visibility.className = 'inspector-visibility';
+        visibility.dataset.nodeUuid = node.uuid;
+        visibility.checked = !window.viewer.isNodeHidden(node.uuid);
+        visibility.addEventListener('click', (e) => e.stopPropagation());
+        visibility.addEventListener('change', (e) => {
+            window.viewer.setNodeVisible(node.uuid, e.target.checked);
+        });
+        label.appendChild(visibility);
+
+        label.appendChild(document.createTextNode(`${node.name} `));
+
+        if (node.meshes > 0) {
+            const counts = document.createElement('span');
+            counts.className = 'inspector-counts';
+            counts.textContent = node.triangles > 0
+                ? `${node.triangles.toLocaleString()} tris`
+                : `${node.vertices.toLocaleString()} verts`;
+            label.appendChild(counts);
+        }
+
+        const isolate = document.createElement('span');
+        isolate.className = 'inspector-isolate';
+        isolate.dataset.isolateUuid = node.uuid;
+        isolate.textContent = '◎';
+        isolate.title = 'Isolate';
+        isolate.classList.toggle('active', window.viewer.activeLayer?.isolatedNode === node.uuid);
+        isolate.addEventListener('click', (e) => {
+            e.preventDefault(); // Don't toggle the <details>
+            e.stopPropagation();
+            window.viewer.isolateNode(node.uuid);
+        });
+        label.appendChild(isolate);
+
+        return label;
+    }
+
+    function createMaterialLines(node) {
+        return node.materials.map(mat => {
+            const line = document.createElement('div');
+            line.className = 'inspector-material';
+            const textures = mat.textures
+                .map(tex => `${tex.slot} ${tex.width ? `${tex.width}×${tex.height}` : '—'}`)
+                .join(', ');
+            line.textContent = `◆ ${mat.name} (${mat.type})${textures ? ` · ${textures}` : ''}`;
+            return line;
+        });
+    }
+
+    function selectInspectorNode(element, uuid) {
+        inspectorTree.querySelectorAll('.inspector-node-selected')
+            .forEach(el => el.classList.remove('inspector-node-selected'));
+        element.classList.add('inspector-node-selected');
+        window.viewer.highlightNode(uuid);
+    }
+
+    function createInspectorNode(node, depth) {
+        const materialLines = createMaterialLines(node);
+
+        // Leaf nodes without materials need no disclosure triangle
+        if (node.children.length === 0 && materialLines.length === 0) {
+            const leaf = document.createElement('div');
+            leaf.className = 'inspector-leaf';
+            leaf.appendChild(createInspectorLabel(node));
+            leaf.addEventListener('click', () => selectInspectorNode(leaf, node.uuid));
+            return leaf;
+        }
+
+        const details = document.createElement('details');
+        details.open = depth < 1; // Only the root starts expanded
+
+        const summary = document.createElement('summary');
+        summary.appendChild(createInspectorLabel(node));
+        summary.addEventListener('click', () => selectInspectorNode(summary, node.uuid));
+        details.appendChild(summary);
+
+        materialLines.forEach(line => details.appendChild(line));
+        node.children.forEach(child => details.appendChild(createInspectorNode(child, depth + 1)));
+
+        return details;
+    }
+
+    // Sync checkboxes and isolate markers without rebuilding (keeps expanded nodes open)
+    window.addEventListener('nodeVisibilityChanged', (e) => {
+        if (!inspectorTree) return;
+
+        const hidden = new Set(e.detail.hidden);
+        inspectorTree.querySelectorAll('[data-node-uuid]').forEach(input => {
+            input.checked = !hidden.has(input.dataset.nodeUuid);
+        });
+        inspectorTree.querySelectorAll('[data-isolate-uuid]').forEach(button => {
+            button.classList.toggle('active', button.dataset.isolateUuid === e.detail.isolated);
+        });
+    });
+
+    const inspectorShowAll = document.getElementById('inspector-show-all');
+    if (inspectorShowAll && window.viewer) {
+        inspectorShowAll.addEventListener('click', () => window.viewer.showAllNodes());
+    }
+
+    const inspectorOptimizeBtn = document.getElementById('inspector-optimize-btn');
+    if (inspectorOptimizeBtn && window.viewer) {
+        inspectorOptimizeBtn.addEventListener('click', () => {
+            const layer = window.viewer.activeLayer;
+            if (layer) window.viewer.showReport(`Optimised: ${layer.name}`, window.viewer.optimizeLayer(layer));
+        });
+    }
+
+    const upgradeMaterials = document.getElementById('upgrade-materials');
+    if (upgradeMaterials && window.viewer) {
+        upgradeMaterials.checked = window.viewer.upgradeLegacyMaterials;
+        upgradeMaterials.addEventListener('change', (e) => {
+            window.viewer.upgradeLegacyMaterials = e.target.checked;
+        });
+    }
+
+    const optimizeOnLoad = document.getElementById('optimize-on-load');
+    if (optimizeOnLoad && window.viewer) {
+        optimizeOnLoad.checked = window.viewer.autoOptimize;
+        optimizeOnLoad.addEventListener('change', (e) => {
+            window.viewer.autoOptimize = e.target.checked;
+        });
+    }
+
+    const inspectorReportBtn = document.getElementById('inspector-report-btn');
+    if (inspectorReportBtn && window.viewer) {
+        inspectorReportBtn.addEventListener('click', () => {
+            const layer = window.viewer.activeLayer;
+            if (layer) window.viewer.showReport(`Validation: ${layer.name}`, layer.validation);
+        });
+    }
+
+    // Rebuild for the active layer whenever layers are loaded, switched or removed
+    window.addEventListener('layersChanged', () => {
+        if (!inspectorSection) return;
+
+        const model = window.viewer.currentModel;
+        inspectorSection.style.display = model ? 'block' : 'none';
+        inspectorTree.innerHTML = '';
+        if (!model) return;
+
+        renderInspectorStats(window.viewer.getSceneStats(model));
+        inspectorTree.appendChild(createInspectorNode(window.viewer.buildNodeTree(model), 0));
+    });
+
     // ========== SHADER PRESET CONTROLS ==========
 
     // Shader Preset
     const shaderPreset = document.getElementById('shader-preset');
+    const presetDeleteBtn = document.getElementById('preset-delete-btn');
+
+    // Dropdown is generated from the built-in and saved presets
+    function renderShaderPresetOptions() {
+        if (!shaderPreset) return;
+
+        const presets = window.viewer.getShaderPresets();
+        const savedGroup = document.createElement('optgroup');
+        savedGroup.label = 'Saved';
+        shaderPreset.innerHTML = '';
+
+        Object.entries(presets).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.label;
+            (window.viewer.isUserPreset(id) ? savedGroup : shaderPreset).appendChild(option);
+        });
+        if (savedGroup.children.length > 0) shaderPreset.appendChild(savedGroup);
+
+        shaderPreset.value = window.viewer.currentShaderPreset;
+        updatePresetDeleteBtn();
+    }
+
+    function updatePresetDeleteBtn() {
+        if (presetDeleteBtn) {
+            presetDeleteBtn.style.display = window.viewer.isUserPreset(shaderPreset.value) ? 'block' : 'none';
+        }
+    }
+
     if (shaderPreset && window.viewer) {
+        renderShaderPresetOptions();
+        window.addEventListener('shaderPresetsChanged', renderShaderPresetOptions);
+        window.addEventListener('layersChanged', updatePresetDeleteBtn);
+
         shaderPreset.addEventListener('change', (e) => {
             console.log(`🎨 Changing shader preset to: ${e.target.value}`);
             window.viewer.applyShaderPreset(e.target.value);
+            updatePresetDeleteBtn();
+        });
+
+        document.getElementById('preset-save-btn').addEventListener('click', () => {
+            const label = prompt('Preset name (saves the picked material, or the first material of this layer):');
+            if (!label || !label.trim()) return;
+            window.viewer.saveUserPreset(label);
+        });
+
+        presetDeleteBtn.addEventListener('click', () => {
+            window.viewer.deleteUserPreset(shaderPreset.value);
+        });
+
+        const presetImportInput = document.getElementById('preset-import-input');
+        document.getElementById('preset-import-btn').addEventListener('click', () => presetImportInput.click());
+        presetImportInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-importing the same file
+            if (file) await window.viewer.importUserPresets(file);
+        });
+
+        document.getElementById('preset-export-btn').addEventListener('click', () => {
+            window.viewer.exportUserPresets();
+        });
+    }
+
+    // ========== MATERIAL VARIANT CONTROLS ==========
+
+    const variantControls = document.getElementById('variant-controls');
+    const materialVariant = document.getElementById('material-variant');
+    const variantExportBtn = document.getElementById('variant-export-btn');
+
+    // Variant list follows the active layer
+    window.addEventListener('layersChanged', () => {
+        if (!variantControls) return;
+
+        const variants = window.viewer.getMaterialVariants();
+        variantControls.style.display = variants ? 'block' : 'none';
+        if (!variants) return;
+
+        materialVariant.innerHTML = '<option value="">Default</option>';
+        variants.names.forEach((name, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = name;
+            materialVariant.appendChild(option);
+        });
+        materialVariant.value = variants.active === null ? '' : variants.active;
+    });
+
+    if (variantControls && window.viewer) {
+        materialVariant.addEventListener('change', (e) => {
+            window.viewer.selectMaterialVariant(e.target.value === '' ? null : parseInt(e.target.value));
+        });
+
+        let variantExportRunning = false;
+        variantExportBtn.addEventListener('click', async () => {
+            if (variantExportRunning) return;
+
+            const originalText = variantExportBtn.textContent;
+            variantExportRunning = true;
+            variantExportBtn.textContent = 'Rendering...';
+            try {
+                await window.viewer.exportMaterialVariants();
+            } finally {
+                variantExportRunning = false;
+                variantExportBtn.textContent = originalText;
+            }
+        });
+    }
+
+    // ========== MATERIAL EDITOR CONTROLS ==========
+
+    const materialEditor = document.getElementById('material-editor');
+    const materialEditorHint = document.getElementById('material-editor-hint');
+    const materialEditorName = document.getElementById('material-editor-name');
+
+    // Slider id suffix → viewer property and displayed precision
+    const materialSliders = {
+        'emissive-intensity': { property: 'emissiveIntensity', decimals: 1 },
+        'roughness': { property: 'roughness', decimals: 2 },
+        'metalness': { property: 'metalness', decimals: 2 },
+        'clearcoat': { property: 'clearcoat', decimals: 2 },
+        'sheen': { property: 'sheen', decimals: 2 },
+        'transmission': { property: 'transmission', decimals: 2 },
+        'ior': { property: 'ior', decimals: 2 },
+        'opacity': { property: 'opacity', decimals: 2 }
+    };
+    const materialColors = { 'color': 'color', 'emissive': 'emissive' };
+
+    // Texture slot controls: id suffix → UV property and display format
+    const textureSlot = document.getElementById('material-texture-slot');
+    const textureName = document.getElementById('material-texture-name');
+    const textureRemoveBtn = document.getElementById('material-texture-remove-btn');
+    const textureUV = document.getElementById('material-texture-uv');
+    const textureSliders = {
+        'offset-x': { property: 'offsetX', format: v => v.toFixed(2) },
+        'offset-y': { property: 'offsetY', format: v => v.toFixed(2) },
+        'repeat-x': { property: 'repeatX', format: v => v.toFixed(1) },
+        'repeat-y': { property: 'repeatY', format: v => v.toFixed(1) },
+        'rotation': { property: 'rotation', format: v => `${Math.round(v)}°` }
+    };
+    let materialState = null;
+
+    if (textureSlot) {
+        Object.entries(ViewerConfig.materialTextures.slots).forEach(([slot, { label }]) => {
+            const option = document.createElement('option');
+            option.value = slot;
+            option.textContent = label;
+            textureSlot.appendChild(option);
+        });
+    }
+
+    function updateTextureControls() {
+        if (!textureSlot || !materialState) return;
+
+        const texture = materialState.textures[textureSlot.value];
+        textureName.textContent = texture ? texture.name : 'No texture';
+        textureRemoveBtn.style.display = texture ? 'block' : 'none';
+        textureUV.style.display = texture ? 'block' : 'none';
+        if (!texture) return;
+
+        const values = {
+            offsetX: texture.offset.x,
+            offsetY: texture.offset.y,
+            repeatX: texture.repeat.x,
+            repeatY: texture.repeat.y,
+            rotation: texture.rotation
+        };
+        Object.entries(textureSliders).forEach(([id, { property, format }]) => {
+            document.getElementById(`texture-${id}`).value = values[property];
+            document.getElementById(`texture-${id}-value`).textContent = format(values[property]);
+        });
+    }
+
+    // Fill the editor from the picked material (or hide it when nothing is picked)
+    window.addEventListener('materialSelected', (e) => {
+        if (!materialEditor) return;
+
+        const state = e.detail;
+        materialState = state;
+        materialEditor.style.display = state ? 'block' : 'none';
+        materialEditorHint.style.display = state ? 'none' : 'block';
+        if (!state) return;
+
+        materialEditorName.textContent = `${state.name} (${state.meshName})`;
+        materialEditorName.title = state.type;
+
+        Object.entries(materialColors).forEach(([id, property]) => {
+            const input = document.getElementById(`material-${id}`);
+            input.value = state.values[property];
+            input.disabled = !state.supported[property];
+        });
+        Object.entries(materialSliders).forEach(([id, { property, decimals }]) => {
+            const input = document.getElementById(`material-${id}`);
+            input.value = state.values[property];
+            input.disabled = !state.supported[property];
+            document.getElementById(`material-${id}-value`).textContent = state.values[property].toFixed(decimals);
+        });
+
+        // Only slots the material type has (roughness/metalness maps need a PBR material)
+        Array.from(textureSlot.options).forEach(option => {
+            option.disabled = !state.textureSlots.includes(option.value);
+        });
+        if (textureSlot.selectedOptions[0].disabled) textureSlot.value = state.textureSlots[0] || 'map';
+        updateTextureControls();
+    });
+
+    if (materialEditor && window.viewer) {
+        Object.entries(materialColors).forEach(([id, property]) => {
+            document.getElementById(`material-${id}`).addEventListener('input', (e) => {
+                window.viewer.updateSelectedMaterial(property, e.target.value);
+            });
+        });
+        Object.entries(materialSliders).forEach(([id, { property, decimals }]) => {
+            const valueLabel = document.getElementById(`material-${id}-value`);
+            document.getElementById(`material-${id}`).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                valueLabel.textContent = value.toFixed(decimals);
+                window.viewer.updateSelectedMaterial(property, value);
+            });
+        });
+
+        // Reapply Custom (Original) even when it is already the selected preset
+        document.getElementById('material-revert-btn').addEventListener('click', () => {
+            shaderPreset.value = 'custom';
+            shaderPreset.dispatchEvent(new Event('change'));
+        });
+
+        textureSlot.addEventListener('change', updateTextureControls);
+
+        const textureInput = document.getElementById('material-texture-input');
+        document.getElementById('material-texture-upload-btn').addEventListener('click', () => textureInput.click());
+        textureInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-uploading the same file after edits
+            if (file) await window.viewer.setSelectedMaterialTexture(textureSlot.value, file);
+        });
+
+        textureRemoveBtn.addEventListener('click', () => {
+            window.viewer.removeSelectedMaterialTexture(textureSlot.value);
+        });
+
+        Object.entries(textureSliders).forEach(([id, { property, format }]) => {
+            const valueLabel = document.getElementById(`texture-${id}-value`);
+            document.getElementById(`texture-${id}`).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                valueLabel.textContent = format(value);
+                window.viewer.updateSelectedTexture(textureSlot.value, property, value);
+            });
+        });
+    }
+
+    // ========== POINT CLOUD CONTROLS ==========
+
+    const pointCloudSection = document.getElementById('point-cloud-section');
+    const pointCloudCount = document.getElementById('point-cloud-count');
+    const pointColorSource = document.getElementById('point-color-source');
+    const pointColorRow = document.getElementById('point-color-row');
+
+    // Show point cloud controls only while the active layer is a point cloud
+    window.addEventListener('layersChanged', () => {
+        const info = window.viewer.getPointCloudInfo(window.viewer.currentModel);
+        if (!pointCloudSection) return;
+
+        pointCloudSection.style.display = info.pointCount > 0 ? 'block' : 'none';
+        if (pointCloudCount) {
+            pointCloudCount.textContent = `${info.pointCount.toLocaleString()} points` +
+                (info.hasVertexColors ? ' with vertex colours' : '');
+        }
+    });
+
+    // Point Size
+    const pointSize = document.getElementById('point-size');
+    const pointSizeValue = document.getElementById('point-size-value');
+    if (pointSize && window.viewer) {
+        pointSize.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            pointSizeValue.textContent = value.toFixed(1);
+            window.viewer.pointSize = value;
+            window.viewer.updatePointCloudMaterials();
+        });
+    }
+
+    // Size Attenuation
+    const pointSizeAttenuation = document.getElementById('point-size-attenuation');
+    if (pointSizeAttenuation && window.viewer) {
+        pointSizeAttenuation.addEventListener('change', (e) => {
+            window.viewer.pointSizeAttenuation = e.target.checked;
+            window.viewer.updatePointCloudMaterials();
+        });
+    }
+
+    // Colour Source
+    if (pointColorSource && window.viewer) {
+        pointColorSource.addEventListener('change', (e) => {
+            window.viewer.pointColorSource = e.target.value;
+            if (pointColorRow) {
+                pointColorRow.style.display = e.target.value === 'solid' ? 'flex' : 'none';
+            }
+            window.viewer.updatePointCloudMaterials();
+        });
+    }
+
+    // Solid Point Colour
+    const pointColor = document.getElementById('point-color');
+    if (pointColor && window.viewer) {
+        pointColor.addEventListener('input', (e) => {
+            window.viewer.pointColor = e.target.value;
+            window.viewer.updatePointCloudMaterials();
+        });
+    }
+
+    // ========== MODEL ANIMATION CONTROLS ==========
+
+    const clipSection = document.getElementById('clip-section');
+    const clipSelect = document.getElementById('clip-select');
+    const clipPlayBtn = document.getElementById('clip-play-btn');
+    const clipTime = document.getElementById('clip-time');
+    const clipTimeValue = document.getElementById('clip-time-value');
+    const clipSpeed = document.getElementById('clip-speed');
+    const clipSpeedValue = document.getElementById('clip-speed-value');
+    const clipLoop = document.getElementById('clip-loop');
+
+    function syncClipControls() {
+        const state = window.viewer.getAnimationState();
+        clipSection.style.display = state ? 'block' : 'none';
+        if (!state) return;
+
+        clipSelect.innerHTML = '';
+        state.clips.forEach((clip, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${clip.name} (${clip.duration.toFixed(1)}s)`;
+            clipSelect.appendChild(option);
+        });
+        clipSelect.value = state.clipIndex;
+
+        clipTime.max = state.clips[state.clipIndex].duration;
+        clipTime.value = state.time;
+        clipTimeValue.textContent = `${state.time.toFixed(2)}s`;
+        clipPlayBtn.textContent = state.playing ? 'Pause' : 'Play';
+        clipSpeed.value = state.speed;
+        clipSpeedValue.textContent = `${state.speed.toFixed(1)}×`;
+        clipLoop.checked = state.loop;
+    }
+
+    // Clip controls follow the active layer
+    window.addEventListener('layersChanged', () => {
+        if (clipSection) syncClipControls();
+    });
+
+    if (clipSection && window.viewer) {
+        clipSelect.addEventListener('change', (e) => {
+            window.viewer.selectAnimationClip(parseInt(e.target.value));
+            syncClipControls();
+        });
+
+        clipPlayBtn.addEventListener('click', () => {
+            const state = window.viewer.getAnimationState();
+            if (!state) return;
+            window.viewer.setAnimationPlaying(!state.playing);
+            clipPlayBtn.textContent = state.playing ? 'Play' : 'Pause';
+        });
+
+        // Scrubbing pauses playback so the chosen pose stays put
+        clipTime.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            window.viewer.setAnimationPlaying(false);
+            window.viewer.setAnimationTime(value);
+            clipTimeValue.textContent = `${value.toFixed(2)}s`;
+            clipPlayBtn.textContent = 'Play';
+        });
+
+        clipSpeed.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            clipSpeedValue.textContent = `${value.toFixed(1)}×`;
+            window.viewer.setAnimationSpeed(value);
+        });
+
+        clipLoop.addEventListener('change', (e) => {
+            window.viewer.setAnimationLoop(e.target.checked);
+        });
+    }
+
+    // ========== MORPH TARGET CONTROLS ==========
+
+    const morphSection = document.getElementById('morph-section');
+    const morphSliders = document.getElementById('morph-sliders');
+    const morphKeyframeCount = document.getElementById('morph-keyframe-count');
+
+    function renderMorphSliders() {
+        const state = window.viewer.getMorphState();
+        morphSection.style.display = state ? 'block' : 'none';
+        morphSliders.innerHTML = '';
+        if (morphKeyframeCount) morphKeyframeCount.textContent = state ? state.keyframes : 0;
+        if (!state) return;
+
+        state.targets.forEach((target, index) => {
+            const row = document.createElement('div');
+            row.className = 'frame-control-row';
+            if (index > 0) row.style.marginTop = '12px';
+
+            const label = document.createElement('label');
+            label.textContent = target.name;
+            label.title = target.name;
+
+            const value = document.createElement('span');
+            value.style.color = 'var(--text-color-subtle)';
+            value.textContent = target.value.toFixed(2);
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.className = 'slider';
+            slider.min = 0;
+            slider.max = 1;
+            slider.step = 0.01;
+            slider.value = target.value;
+            slider.addEventListener('input', (e) => {
+                const influence = parseFloat(e.target.value);
+                value.textContent = influence.toFixed(2);
+                window.viewer.setMorphInfluence(target.name, influence);
+            });
+
+            row.append(label, value);
+            morphSliders.append(row, slider);
+        });
+    }
+
+    // Sliders are regenerated from the active layer's morphTargetDictionary
+    window.addEventListener('layersChanged', () => {
+        if (morphSection) renderMorphSliders();
+    });
+
+    // Morph keyframes (animation mode = morph)
+    const morphDuration = document.getElementById('morph-duration');
+    const morphDurationValue = document.getElementById('morph-duration-value');
+    if (morphDuration && window.viewer) {
+        morphDuration.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            morphDurationValue.textContent = `${value}s`;
+            window.viewer.morphDuration = value;
+        });
+    }
+
+    const morphAddKeyframe = document.getElementById('morph-add-keyframe');
+    if (morphAddKeyframe && window.viewer) {
+        morphAddKeyframe.addEventListener('click', () => {
+            morphKeyframeCount.textContent = window.viewer.addMorphKeyframe();
+        });
+    }
+
+    const morphClearKeyframes = document.getElementById('morph-clear-keyframes');
+    if (morphClearKeyframes && window.viewer) {
+        morphClearKeyframes.addEventListener('click', () => {
+            window.viewer.clearMorphKeyframes();
+            morphKeyframeCount.textContent = 0;
         });
     }
 
@@ -146,6 +954,28 @@ window.addEventListener('DOMContentLoaded', () => {
 
     // HDRI Preset
     const hdriPreset = document.getElementById('hdri-preset');
+
+    // Environments loaded from files or links appear as an extra (non-reloadable) entry
+    window.addEventListener('hdriLoaded', (e) => {
+        if (!hdriPreset) return;
+
+        const name = e.detail.name;
+        if (ViewerConfig.hdriPresets[name]) {
+            hdriPreset.value = name;
+            return;
+        }
+
+        let option = hdriPreset.querySelector('option[value="file"]');
+        if (!option) {
+            option = document.createElement('option');
+            option.value = 'file';
+            option.disabled = true;
+            hdriPreset.appendChild(option);
+        }
+        option.textContent = name;
+        hdriPreset.value = 'file';
+    });
+
     if (hdriPreset && window.viewer) {
         hdriPreset.addEventListener('change', (e) => {
             console.log(`🎨 Changing HDRI to: ${e.target.value}`);
@@ -359,6 +1189,39 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // ========== CAMERA CONTROLS ==========
+
+    const cameraSection = document.getElementById('camera-section');
+    const cameraSelect = document.getElementById('camera-select');
+
+    // Camera list covers every layer, so rebuild it whenever layers change
+    window.addEventListener('layersChanged', () => {
+        if (!cameraSection) return;
+
+        const state = window.viewer.getCameraState();
+        cameraSection.style.display = state.cameras.length > 0 ? 'block' : 'none';
+
+        cameraSelect.innerHTML = '<option value="">Orbit Camera</option>';
+        state.cameras.forEach(camera => {
+            const option = document.createElement('option');
+            option.value = camera.id;
+            option.textContent = `${camera.name}${camera.orthographic ? ' (Ortho)' : ''}` +
+                (window.viewer.layers.length > 1 ? ` - ${camera.layerName}` : '');
+            cameraSelect.appendChild(option);
+        });
+        cameraSelect.value = state.activeId || '';
+    });
+
+    if (cameraSection && window.viewer) {
+        cameraSelect.addEventListener('change', (e) => {
+            if (e.target.value) {
+                window.viewer.setActiveCamera(e.target.value);
+            } else {
+                window.viewer.useOrbitCamera();
+            }
+        });
+    }
+
     // ========== ANIMATION CONTROLS ==========
 
     // Camera Orbit Toggle
@@ -368,9 +1231,9 @@ window.addEventListener('DOMContentLoaded', () => {
             const enabled = e.target.checked;
             window.viewer.orbitEnabled = enabled;
 
-            // Enable/disable OrbitControls
+            // Enable/disable OrbitControls (they stay off while viewing through a file camera)
             if (window.viewer.orbitControls) {
-                window.viewer.orbitControls.enabled = enabled;
+                window.viewer.orbitControls.enabled = enabled && window.viewer.camera === window.viewer.orbitCamera;
                 console.log(`🎥 Camera orbit controls ${enabled ? 'enabled' : 'disabled'}`);
             }
         });
@@ -389,6 +1252,7 @@ window.addEventListener('DOMContentLoaded', () => {
     const turntableControls = document.getElementById('turntable-controls');
     const sineControls = document.getElementById('sine-controls');
     const lightRotationControls = document.getElementById('light-rotation-controls');
+    const morphControls = document.getElementById('morph-controls');
 
     if (animationMode && window.viewer) {
         animationMode.addEventListener('change', (e) => {
@@ -409,8 +1273,15 @@ window.addEventListener('DOMContentLoaded', () => {
                     turntableControls.style.display = 'none';
                     sineControls.style.display = 'none';
                     lightRotationControls.style.display = 'block';
+                } else if (mode === 'morph') {
+                    turntableControls.style.display = 'none';
+                    sineControls.style.display = 'none';
+                    lightRotationControls.style.display = 'none';
                 }
             }
+            if (morphControls) {
+                morphControls.style.display = mode === 'morph' ? 'block' : 'none';
+            }
         });
     }
 
@@ -549,6 +1420,88 @@ window.addEventListener('DOMContentLoaded', () => {
     const bgImageText = document.getElementById('bg-image-text');
     const bgFitGroup = document.getElementById('bg-fit-group');
 
+    // Load an image or video file as the scene background
+    function loadBackgroundFile(file) {
+        if (!file || !window.viewer) return;
+
+        const isVideo = file.type.startsWith('video/');
+
+        // Images are held in memory and uploaded as a texture; videos stream
+        if (!isVideo && file.size > ViewerConfig.limits.backgroundImage) {
+            window.viewer.showReport(`${file.name} not loaded`, [{
+                level: 'error',
+                message: `Image is ${window.viewer.formatMegabytes(file.size)}, above the ${window.viewer.formatMegabytes(ViewerConfig.limits.backgroundImage)} background limit`
+            }]);
+            return;
+        }
+
+        if (isVideo) {
+            // Handle MP4 video with performance optimizations
+            const video = document.createElement('video');
+            video.src = URL.createObjectURL(file);
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'auto'; // Preload entire video for smooth playback
+
+            // Custom loop handler for seamless looping (better than native loop attribute)
+            video.addEventListener('ended', () => {
+                video.currentTime = 0;
+                video.play().catch(err => {
+                    console.warn('⚠️ Loop restart failed:', err);
+                });
+            });
+
+            // Wait for video to be fully buffered before starting
+            video.addEventListener('canplaythrough', () => {
+                window.viewer.setBackgroundVideo(video);
+                bgImageText.textContent = file.name.length > 20
+                    ? file.name.substring(0, 20) + '...'
+                    : file.name;
+                bgImageRemoveBtn.style.display = 'block';
+                bgFitGroup.style.display = 'none'; // Videos always fill
+                console.log('✅ Background video loaded and buffered');
+
+                // Start playing
+                video.play().catch(err => {
+                    console.warn('⚠️ Autoplay blocked, video may not play:', err);
+                });
+            }, { once: true });
+
+            video.addEventListener('error', () => {
+                console.error('❌ Failed to load background video');
+                alert('Failed to load video. Please use MP4 format.');
+            });
+
+            // Explicitly load video to start buffering
+            video.load();
+        } else {
+            // Handle image
+            const img = new Image();
+            img.onload = () => {
+                const maxTextureSize = window.viewer.renderer.capabilities.maxTextureSize;
+                if (img.width > maxTextureSize || img.height > maxTextureSize) {
+                    window.viewer.showReport(`Background: ${file.name}`, [{
+                        level: 'warning',
+                        message: `Image is ${img.width}×${img.height}, larger than this GPU's ${maxTextureSize}px limit; it will be downscaled`
+                    }]);
+                }
+
+                window.viewer.setBackgroundImage(img);
+                bgImageText.textContent = file.name.length > 20
+                    ? file.name.substring(0, 20) + '...'
+                    : file.name;
+                bgImageRemoveBtn.style.display = 'block';
+                bgFitGroup.style.display = 'block';
+                console.log('✅ Background image loaded');
+            };
+            img.onerror = () => {
+                console.error('❌ Failed to load background image');
+                alert('Failed to load image');
+            };
+            img.src = URL.createObjectURL(file);
+        }
+    }
+
     if (bgImageBtn && bgImageInput) {
         bgImageBtn.addEventListener('click', (e) => {
             if (e.target === bgImageRemoveBtn) return;
@@ -556,68 +1509,7 @@ window.addEventListener('DOMContentLoaded', () => {
         });
 
         bgImageInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file && window.viewer) {
-                const isVideo = file.type.startsWith('video/');
-
-                if (isVideo) {
-                    // Handle MP4 video with performance optimizations
-                    const video = document.createElement('video');
-                    video.src = URL.createObjectURL(file);
-                    video.muted = true;
-                    video.playsInline = true;
-                    video.preload = 'auto'; // Preload entire video for smooth playback
-
-                    // Custom loop handler for seamless looping (better than native loop attribute)
-                    video.addEventListener('ended', () => {
-                        video.currentTime = 0;
-                        video.play().catch(err => {
-                            console.warn('⚠️ Loop restart failed:', err);
-                        });
-                    });
-
-                    // Wait for video to be fully buffered before starting
-                    video.addEventListener('canplaythrough', () => {
-                        window.viewer.setBackgroundVideo(video);
-                        bgImageText.textContent = file.name.length > 20
-                            ? file.name.substring(0, 20) + '...'
-                            : file.name;
-                        bgImageRemoveBtn.style.display = 'block';
-                        bgFitGroup.style.display = 'none'; // Videos always fill
-                        console.log('✅ Background video loaded and buffered');
-
-                        // Start playing
-                        video.play().catch(err => {
-                            console.warn('⚠️ Autoplay blocked, video may not play:', err);
-                        });
-                    }, { once: true });
-
-                    video.addEventListener('error', () => {
-                        console.error('❌ Failed to load background video');
-                        alert('Failed to load video. Please use MP4 format.');
-                    });
-
-                    // Explicitly load video to start buffering
-                    video.load();
-                } else {
-                    // Handle image
-                    const img = new Image();
-                    img.onload = () => {
-                        window.viewer.setBackgroundImage(img);
-                        bgImageText.textContent = file.name.length > 20
-                            ? file.name.substring(0, 20) + '...'
-                            : file.name;
-                        bgImageRemoveBtn.style.display = 'block';
-                        bgFitGroup.style.display = 'block';
-                        console.log('✅ Background image loaded');
-                    };
-                    img.onerror = () => {
-                        console.error('❌ Failed to load background image');
-                        alert('Failed to load image');
-                    };
-                    img.src = URL.createObjectURL(file);
-                }
-            }
+            loadBackgroundFile(e.target.files[0]);
         });
 
         bgImageRemoveBtn.addEventListener('click', (e) => {
@@ -646,6 +1538,26 @@ window.addEventListener('DOMContentLoaded', () => {
     const fgImageRemoveBtn = document.getElementById('fg-image-remove-btn');
     const fgImageText = document.getElementById('fg-image-text');
 
+    // Load a (transparent) PNG as the foreground overlay
+    function loadForegroundFile(file) {
+        if (!file || !window.viewer) return;
+
+        const img = new Image();
+        img.onload = () => {
+            window.viewer.setForegroundImage(img);
+            fgImageText.textContent = file.name.length > 20
+                ? file.name.substring(0, 20) + '...'
+                : file.name;
+            fgImageRemoveBtn.style.display = 'block';
+            console.log('✅ Foreground image loaded');
+        };
+        img.onerror = () => {
+            console.error('❌ Failed to load foreground image');
+            alert('Failed to load foreground image. Please use a valid PNG file.');
+        };
+        img.src = URL.createObjectURL(file);
+    }
+
     if (fgImageBtn && fgImageInput) {
         fgImageBtn.addEventListener('click', (e) => {
             if (e.target === fgImageRemoveBtn) return;
@@ -653,23 +1565,7 @@ window.addEventListener('DOMContentLoaded', () => {
         });
 
         fgImageInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file && window.viewer) {
-                const img = new Image();
-                img.onload = () => {
-                    window.viewer.setForegroundImage(img);
-                    fgImageText.textContent = file.name.length > 20
-                        ? file.name.substring(0, 20) + '...'
-                        : file.name;
-                    fgImageRemoveBtn.style.display = 'block';
-                    console.log('✅ Foreground image loaded');
-                };
-                img.onerror = () => {
-                    console.error('❌ Failed to load foreground image');
-                    alert('Failed to load foreground image. Please use a valid PNG file.');
-                };
-                img.src = URL.createObjectURL(file);
-            }
+            loadForegroundFile(e.target.files[0]);
         });
 
         fgImageRemoveBtn.addEventListener('click', (e) => {
@@ -683,6 +1579,127 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // ========== VIEWPORT DROP TARGET ==========
+
+    const canvasContainer = document.querySelector('.canvas-container');
+    const dropOverlay = document.getElementById('drop-overlay');
+    const dropOverlayList = document.getElementById('drop-overlay-list');
+
+    const MODEL_EXTENSIONS = ['glb', 'gltf', 'fbx', 'obj', 'stl', '3mf', 'ply', 'zip'];
+    const HDRI_EXTENSIONS = ['hdr', 'exr'];
+    const DROP_TARGET_LABELS = {
+        model: '3D model',
+        layer: '3D model (new layer)',
+        hdri: 'Environment (HDRI)',
+        background: 'Background image',
+        video: 'Background video',
+        foreground: 'Foreground overlay',
+        unknown: 'Model, environment or companion file'
+    };
+
+    // Route a dropped file by extension (or MIME type while dragging, when names are hidden)
+    function getDropTarget(name, type, useModifier) {
+        const ext = name ? name.split('.').pop().toLowerCase() : '';
+
+        if (MODEL_EXTENSIONS.includes(ext) || type.startsWith('model/') || type.includes('zip')) return 'model';
+        if (HDRI_EXTENSIONS.includes(ext)) return 'hdri';
+        if (type.startsWith('video/')) return 'video';
+        if (type === 'image/png' && useModifier) return 'foreground';
+        if (type.startsWith('image/')) return 'background';
+        return 'unknown';
+    }
+
+    function showDropOverlay(e) {
+        const counts = {};
+        const useModifier = e.altKey || e.shiftKey;
+
+        Array.from(e.dataTransfer.items || []).forEach(item => {
+            if (item.kind !== 'file') return;
+            let target = getDropTarget('', item.type, useModifier);
+            if (target === 'model' && useModifier) target = 'layer';
+            counts[target] = (counts[target] || 0) + 1;
+        });
+
+        dropOverlayList.innerHTML = '';
+        Object.entries(counts).forEach(([target, count]) => {
+            const li = document.createElement('li');
+            li.textContent = `${count} file${count > 1 ? 's' : ''} → ${DROP_TARGET_LABELS[target]}`;
+            dropOverlayList.appendChild(li);
+        });
+
+        dropOverlay.classList.add('active');
+    }
+
+    function hideDropOverlay() {
+        dropOverlay.classList.remove('active');
+    }
+
+    function handleDroppedFiles(files, useModifier) {
+        const routed = { model: [], hdri: [], background: [], video: [], foreground: [], unknown: [] };
+
+        files.forEach(file => {
+            routed[getDropTarget(file.name, file.type, useModifier)].push(file);
+        });
+
+        // Companion files (.bin, .mtl, textures) travel with the model
+        if (routed.model.length > 0) {
+            const modelFiles = [...routed.model, ...routed.unknown, ...routed.background, ...routed.foreground];
+            if (useModifier) {
+                window.viewer.loadModel(modelFiles, true);
+            } else {
+                loadModelFiles(modelFiles);
+            }
+        } else {
+            if (routed.background.length > 0) loadBackgroundFile(routed.background[0]);
+            if (routed.foreground.length > 0) loadForegroundFile(routed.foreground[0]);
+            if (routed.unknown.length > 0) {
+                console.warn('⚠️ Ignored unsupported dropped files:', routed.unknown.map(f => f.name));
+            }
+        }
+
+        if (routed.video.length > 0) loadBackgroundFile(routed.video[0]);
+
+        if (routed.hdri.length > 0) {
+            window.viewer.loadHDRIFile(routed.hdri[0]);
+        }
+    }
+
+    if (canvasContainer && dropOverlay && window.viewer) {
+        let dragDepth = 0; // dragenter/dragleave fire for every child canvas
+
+        const isFileDrag = (e) => Array.from(e.dataTransfer.types || []).includes('Files');
+
+        canvasContainer.addEventListener('dragenter', (e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            dragDepth++;
+            showDropOverlay(e);
+        });
+
+        canvasContainer.addEventListener('dragover', (e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            showDropOverlay(e); // Refresh when a modifier key changes
+        });
+
+        canvasContainer.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) hideDropOverlay();
+        });
+
+        canvasContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            hideDropOverlay();
+            handleDroppedFiles(Array.from(e.dataTransfer.files), e.altKey || e.shiftKey);
+        });
+    }
+
+    // Stop the browser from opening files dropped outside the drop targets
+    window.addEventListener('dragover', (e) => e.preventDefault());
+    window.addEventListener('drop', (e) => e.preventDefault());
+
     // ========== EXPORT CONTROLS ==========
 
     const exportBtn = document.getElementById('export-btn');
@@ -716,6 +1733,16 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Report modal (validation / conversion results) closes on its buttons or the backdrop
+    const reportModal = document.getElementById('reportModal');
+    if (reportModal) {
+        reportModal.addEventListener('click', (e) => {
+            if (e.target === reportModal || e.target.dataset.reportClose !== undefined) {
+                reportModal.style.display = 'none';
+            }
+        });
+    }
+
     // Close modal on background click
     if (exportModal) {
         exportModal.addEventListener('click', (e) => {
@@ -749,5 +1776,73 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // ========== URL PARAMETERS ==========
+
+    // ?model=car.glb&hdri=sunset&preset=clay&bg=ffffff — settings go through the regular controls
+    const urlParams = new URLSearchParams(window.location.search);
+
+    async function applyURLParameters() {
+        const viewer = window.viewer;
+        const models = urlParams.getAll('model');
+        const hdri = urlParams.get('hdri');
+        const preset = urlParams.get('preset');
+        const bg = urlParams.get('bg');
+
+        console.log('🔗 Applying URL parameters...');
+
+        if (hdri) {
+            if (ViewerConfig.hdriPresets[hdri]) {
+                hdriPreset.value = hdri;
+                hdriPreset.dispatchEvent(new Event('change'));
+            } else {
+                const url = viewer.resolveAssetURL(hdri);
+                const loader = viewer.getHDRILoader(new URL(url).pathname);
+                if (loader) {
+                    viewer.loadHDRIFromURL(url, hdri.split('/').pop(), loader);
+                } else {
+                    viewer.showLoadNotice(hdri, 'Use an HDRI preset name or an .hdr/.exr URL', 'error');
+                }
+            }
+        }
+
+        if (preset) {
+            if (!viewer.getShaderPreset(preset)) {
+                viewer.showLoadNotice(preset, `Unknown shader preset. Use one of: ${Object.keys(viewer.getShaderPresets()).join(', ')}`);
+            } else if (shaderPreset) {
+                shaderPreset.value = preset;
+                // Presets act on materials, so wait for the linked model
+                window.addEventListener('modelLoaded', () => {
+                    shaderPreset.dispatchEvent(new Event('change'));
+                }, { once: true });
+            }
+        }
+
+        // Repeated ?model= parameters load side by side as layers; each adds its own, since a
+        // replacing load would swap out whichever layer happened to finish first
+        models.forEach((model) => {
+            viewer.loadModelFromURL(viewer.resolveAssetURL(model), models.length > 1);
+        });
+
+        if (bg) {
+            if (bg === 'transparent') {
+                bgTransparent.checked = true;
+                bgTransparent.dispatchEvent(new Event('change'));
+            } else if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(bg)) {
+                // Colours may omit the # (it would need escaping as %23)
+                let hex = bg.replace('#', '');
+                if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+                bgColor.value = `#${hex.toLowerCase()}`;
+                bgColor.dispatchEvent(new Event('input'));
+            } else {
+                const file = await viewer.fetchFile(viewer.resolveAssetURL(bg), 'background');
+                if (file) loadBackgroundFile(file);
+            }
+        }
+    }
+
+    if (window.viewer && ['model', 'hdri', 'preset', 'bg'].some(key => urlParams.has(key))) {
+        applyURLParameters();
+    }
+
     console.log('✅ UI controls initialized');
 });
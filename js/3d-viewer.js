@@ -14,14 +14,35 @@ class ModelViewer {
         }
 
         this.scene = null;
-        this.camera = null;
+        this.camera = null; // Camera used by the viewport, path tracer and exports
+        this.orbitCamera = null; // Default camera driven by OrbitControls
+        this.fileCamera = null; // Camera authored in a loaded file; this.camera is then its world-space stand-in
         this.renderer = null;
 
         // Model and transforms
-        this.currentModel = null;
+        this.currentModel = null; // Model of the active layer
         this.modelContainer = null; // Container for transforms
+        this.layerGroup = null; // Group framing inside modelContainer
+        this.layers = []; // Loaded models, each with its own container/transform/preset/visibility
+        this.activeLayer = null;
+        this.layerCounter = 0;
+        this.autoFitGroup = ViewerConfig.model.autoFitGroup;
+        this.sharedLayerScale = ViewerConfig.model.sharedLayerScale;
+        this.placement = ViewerConfig.model.placement;
+        this.shadowFocus = new THREE.Sphere(new THREE.Vector3(), ViewerConfig.model.targetSize); // Composition bounds in modelContainer space
+        this.selectionHelper = null; // BoxHelper around the node picked in the inspector
+        this.selectedMaterial = null; // { mesh, index, material } picked in the viewport
         this.currentShaderPreset = 'custom';
+        this.userPresets = this.loadUserPresets(); // id -> preset saved in this browser
         this.originalMaterials = new Map(); // Store original material properties
+        this.materialOriginals = new WeakMap(); // material -> its record, shared by every mesh slot using it
+        this.upgradeLegacyMaterials = ViewerConfig.model.upgradeLegacyMaterials; // Phong/Lambert -> physical on load
+
+        // Point cloud rendering (faceless PLY scans)
+        this.pointSize = ViewerConfig.pointCloud.size;
+        this.pointSizeAttenuation = ViewerConfig.pointCloud.sizeAttenuation;
+        this.pointColorSource = ViewerConfig.pointCloud.colorSource;
+        this.pointColor = ViewerConfig.pointCloud.color;
 
         // Background rendering (removed separate canvas, now handled by Three.js scene.background)
         this.backgroundImage = null;
@@ -50,6 +71,7 @@ class ModelViewer {
 
         // Sun light system (User-controlled directional light)
         this.sunLight = null;
+        this.sunDirection = null; // Unit vector towards the sun, from azimuth and elevation
         this.sunIntensity = ViewerConfig.lighting.sunIntensity;
         this.sunAzimuth = ViewerConfig.lighting.sunAzimuth;
         this.sunElevation = ViewerConfig.lighting.sunElevation;
@@ -81,6 +103,11 @@ class ModelViewer {
         this.sineFrequencyZ = ViewerConfig.animation.sineFrequencyZ;
         this.sineTime = 0; // Time accumulator for sine wave
 
+        // Morph target animation (keyframes are stored per layer)
+        this.morphDuration = ViewerConfig.animation.morphDuration;
+        this.morphTime = 0; // Time accumulator for morph keyframes
+        this.morphBeforeAnimation = null; // Slider values to restore when morph animation stops
+
         // Light rotation animation (HDRI + Sun)
         this.lightAnimationSpeed = ViewerConfig.animation.lightAnimationSpeed;
         this.hdriRotationBeforeAnimation = null; // Store HDRI rotation before animation starts
@@ -88,6 +115,11 @@ class ModelViewer {
 
         this.animationFrameId = null;
 
+        // Embedded animation clips (glTF/FBX), one AnimationMixer per layer
+        this.clipClock = new THREE.Clock();
+        this.clipRecordingStart = null; // performance.now() when an MP4 recording started
+        this.clipExporting = false; // PNG sequence export sets clip and morph time per frame
+
         // Store initial rotation state for animation reset
         this.rotationBeforeAnimation = null;
 
@@ -97,12 +129,22 @@ class ModelViewer {
         // Debounce timer for HDRI rotation
         this.hdriRotationTimer = null;
 
+        // Name of the loaded model file (reported with the modelLoaded event)
+        this.currentModelName = null;
+
         // Loaders
         this.gltfLoader = null;
+        this.dracoLoader = null; // KHR_draco_mesh_compression
+        this.ktx2Loader = null; // KHR_texture_basisu
         this.fbxLoader = null;
         this.rgbeLoader = null;
+        this.exrLoader = null;
         this.textureLoader = null;
 
+        // In-viewport load progress (active downloads plus error/warning notices)
+        this.loadTasks = [];
+        this.loadTaskCounter = 0;
+
         // Path Tracing
         this.pathTracer = null;
         this.pathTracingEnabled = false;
@@ -121,6 +163,11 @@ class ModelViewer {
         this.interactionTimeout = null;
         this.interactionDelay = 300; // ms to wait after interaction stops before resuming path tracing
 
+        // Geometry optimisation: simplified LOD geometry is shown while orbiting or interacting
+        this.autoOptimize = ViewerConfig.optimization.autoOptimize;
+        this.orbitActive = false; // True between OrbitControls 'start' and 'end'
+        this.lodActive = false;
+
         // Initialize
         this.init();
     }
@@ -133,6 +180,7 @@ class ModelViewer {
         this.setupCamera();
         this.setupOrbitControls();
         this.setupRenderer();
+        this.setupMaterialPicking();
         this.setupLights();
         this.setupLoaders();
         this.loadDefaultHDRI();
@@ -162,9 +210,11 @@ class ModelViewer {
             this.updateForegroundCanvas(); // Redraw foreground image at new size
         }
 
-        // Update camera aspect ratio
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        // Update camera aspect ratio (the orbit camera too, while a file camera is active)
+        this.updateCameraAspect(this.orbitCamera, width / height);
+        if (this.camera !== this.orbitCamera) {
+            this.updateCameraAspect(this.camera, width / height);
+        }
 
         // Update renderer size (do NOT apply pixel ratio here - keep 1:1 mapping)
         this.renderer.setSize(width, height, false);
@@ -190,6 +240,10 @@ class ModelViewer {
         this.modelContainer = new THREE.Group();
         this.scene.add(this.modelContainer);
 
+        // Layer group: automatic framing of all layers, beneath the global transform and animation
+        this.layerGroup = new THREE.Group();
+        this.modelContainer.add(this.layerGroup);
+
         // Create foreground canvas layer for PNG overlays
         this.setupForegroundCanvas();
 
@@ -230,6 +284,7 @@ class ModelViewer {
             ViewerConfig.camera.position.z
         );
         this.camera.lookAt(0, 0, 0);
+        this.orbitCamera = this.camera;
 
         console.log('  ✓ Camera initialized');
     }
@@ -255,6 +310,7 @@ class ModelViewer {
 
         // Add event listeners for path tracing interaction
         this.orbitControls.addEventListener('start', () => {
+            this.orbitActive = true;
             if (this.pathTracingEnabled && this.pathTracer) {
                 this.isInteracting = true;
                 console.log('🎮 Orbit started - switching to standard render');
@@ -268,6 +324,7 @@ class ModelViewer {
         });
 
         this.orbitControls.addEventListener('end', () => {
+            this.orbitActive = false;
             if (this.pathTracingEnabled && this.pathTracer) {
                 console.log('🎯 Orbit ended - preparing to resume path tracing');
 
@@ -280,6 +337,7 @@ class ModelViewer {
                     this.scene.updateMatrixWorld(true);
 
                     // Update path tracer with new camera position
+                    this.setLODActive(false);
                     this.pathTracer.setScene(this.scene, this.camera);
 
                     console.log('✅ Path tracer updated with new camera position');
@@ -382,13 +440,60 @@ class ModelViewer {
     }
 
     setupLoaders() {
-        this.gltfLoader = new window.GLTFLoader();
+        // Compressed glTF decoders are served from js/libs (no CDN fetch at decode time)
+        if (window.DRACOLoader) {
+            this.dracoLoader = new window.DRACOLoader();
+            this.dracoLoader.setDecoderPath(ViewerConfig.decoders.dracoPath);
+        }
+        if (window.KTX2Loader) {
+            this.ktx2Loader = new window.KTX2Loader();
+            this.ktx2Loader.setTranscoderPath(ViewerConfig.decoders.basisPath);
+            this.ktx2Loader.detectSupport(this.renderer); // Requires renderer (setupRenderer runs first)
+        }
+
+        this.gltfLoader = this.createGLTFLoader();
         this.fbxLoader = new window.FBXLoader();
         this.rgbeLoader = new window.RGBELoader();
         this.rgbeLoader.setDataType(THREE.HalfFloatType);
+        if (window.EXRLoader) {
+            this.exrLoader = new window.EXRLoader();
+            this.exrLoader.setDataType(THREE.HalfFloatType);
+        }
         this.textureLoader = new THREE.TextureLoader();
 
-        console.log('  ✓ Loaders initialized (GLTF, FBX, RGBE)');
+        const decoders = [
+            this.dracoLoader && 'Draco',
+            window.MeshoptDecoder && 'Meshopt',
+            this.ktx2Loader && 'KTX2'
+        ].filter(Boolean);
+
+        console.log(`  ✓ Loaders initialized (GLTF, FBX, RGBE)${decoders.length ? ` + decoders: ${decoders.join(', ')}` : ''}`);
+    }
+
+    createGLTFLoader(manager = undefined) {
+        const loader = new window.GLTFLoader(manager);
+
+        if (this.dracoLoader) {
+            loader.setDRACOLoader(this.dracoLoader);
+        }
+        if (this.ktx2Loader) {
+            // GLTFLoader hands KTX2 images straight to this loader, bypassing the load's manager
+            loader.setKTX2Loader(manager ? this.getKTX2LoaderFor(manager) : this.ktx2Loader);
+        }
+        if (window.MeshoptDecoder) {
+            loader.setMeshoptDecoder(window.MeshoptDecoder);
+        }
+
+        return loader;
+    }
+
+    getKTX2LoaderFor(manager) {
+        // One transcoder worker pool for every load: a per-load view of the shared loader that
+        // resolves uploaded file names to blob URLs through the load's own manager first
+        const shared = this.ktx2Loader;
+        const view = Object.create(shared);
+        view.load = (url, onLoad, onProgress, onError) => shared.load(manager.resolveURL(url), onLoad, onProgress, onError);
+        return view;
     }
 
     // ========== HDRI SYSTEM ==========
@@ -399,52 +504,93 @@ class ModelViewer {
 
     loadHDRI(presetName) {
         const hdriUrl = ViewerConfig.hdriPresets[presetName];
+        this.loadHDRIFromURL(hdriUrl, presetName);
+    }
 
-        console.log(`🔄 Loading HDRI: ${presetName}...`);
+    loadHDRIFile(file) {
+        // User-supplied .hdr/.exr environment (file picker or drag-and-drop)
+        const loader = this.getHDRILoader(file.name);
+        if (!loader) {
+            console.error(`❌ Unsupported environment format: ${file.name}`);
+            this.showLoadNotice(file.name, 'Please use an .hdr or .exr environment map', 'error');
+            return;
+        }
 
-        this.rgbeLoader.load(
-            hdriUrl,
-            (texture) => {
-                console.log('  ✓ HDRI texture loaded, generating environment map...');
+        this.loadHDRIFromURL(URL.createObjectURL(file), file.name, loader);
+    }
 
-                // Set texture mapping
-                texture.mapping = THREE.EquirectangularReflectionMapping;
+    getHDRILoader(fileName) {
+        const name = fileName.toLowerCase().split('?')[0];
+        if (name.endsWith('.exr')) return this.exrLoader;
+        if (name.endsWith('.hdr')) return this.rgbeLoader;
+        return null;
+    }
 
-                // Store original texture for rotation
-                if (this.originalHDRITexture) {
-                    this.originalHDRITexture.dispose();
-                }
-                this.originalHDRITexture = texture.clone();
-                this.originalHDRITexture.mapping = THREE.EquirectangularReflectionMapping;
+    async loadHDRIFromURL(hdriUrl, label, loader = this.rgbeLoader) {
+        console.log(`🔄 Loading HDRI: ${label}...`);
 
-                // Generate environment with current rotation
-                this.generateRotatedEnvironment(texture, this.hdriRotation * Math.PI / 180);
+        // A newer environment request supersedes any HDRI still downloading
+        const task = this.beginLoadTask('hdri', label);
+        let blobURL = null;
 
-                // Apply to model if exists
-                if (this.currentModel) {
-                    this.applyEnvironmentToModel();
-                }
+        try {
+            // Download with progress and cancellation, then decode from memory
+            const buffer = await this.fetchWithProgress(hdriUrl, task);
 
-                // Update path tracer environment if active and initialized
-                if (this.pathTracingEnabled && this.pathTracer && this.pathTracerSceneReady) {
-                    // Only call updateEnvironment() if the path tracer has been set up with a scene
-                    this.pathTracer.updateEnvironment();
-                    this.pathTracer.reset();
-                    console.log('  ✓ Path tracer environment updated for new HDRI');
-                }
+            this.setLoadPhase(task, 'parse');
+            blobURL = URL.createObjectURL(new Blob([buffer]));
+            const texture = await loader.loadAsync(blobURL);
 
-                console.log(`✅ HDRI loaded: ${presetName}`);
-            },
-            (progress) => {
-                if (progress.total > 0) {
-                    const percent = (progress.loaded / progress.total * 100).toFixed(0);
-                    console.log(`  Loading: ${percent}%`);
-                }
-            },
-            (error) => {
-                console.error('❌ Error loading HDRI:', error);
+            if (task.cancelled) {
+                texture.dispose();
+                return;
             }
-        );
+
+            console.log('  ✓ HDRI texture loaded, generating environment map...');
+
+            // Set texture mapping
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+
+            // Store original texture for rotation
+            if (this.originalHDRITexture) {
+                this.originalHDRITexture.dispose();
+            }
+            this.originalHDRITexture = texture.clone();
+            this.originalHDRITexture.mapping = THREE.EquirectangularReflectionMapping;
+
+            // Generate environment with current rotation
+            this.generateRotatedEnvironment(texture, this.hdriRotation * Math.PI / 180);
+
+            // Apply to model if exists
+            if (this.currentModel) {
+                this.applyEnvironmentToModel();
+            }
+
+            // Update path tracer environment if active and initialized
+            if (this.pathTracingEnabled && this.pathTracer && this.pathTracerSceneReady) {
+                // Only call updateEnvironment() if the path tracer has been set up with a scene
+                this.pathTracer.updateEnvironment();
+                this.pathTracer.reset();
+                console.log('  ✓ Path tracer environment updated for new HDRI');
+            }
+
+            this.endLoadTask(task);
+            console.log(`✅ HDRI loaded: ${label}`);
+
+            // Let the UI reflect environments that did not come from the preset dropdown
+            window.dispatchEvent(new CustomEvent('hdriLoaded', { detail: { name: label } }));
+        } catch (error) {
+            if (task.cancelled) {
+                console.log(`  ℹ️ HDRI load cancelled: ${label}`);
+                return;
+            }
+            console.error('❌ Error loading HDRI:', error);
+            this.failLoadTask(task, this.getLoadErrorMessage(error, 'Failed to load environment. Check console for details.'));
+        } finally {
+            // Dropped/picked files arrive as blob URLs that are only needed for this load
+            if (hdriUrl.startsWith('blob:')) URL.revokeObjectURL(hdriUrl);
+            if (blobURL) URL.revokeObjectURL(blobURL);
+        }
     }
 
     analyzeHDRIBrightestPoint(texture) {
@@ -563,389 +709,3275 @@ class ModelViewer {
         console.log('  ✓ Environment applied');
     }
 
-    updateHDRISettings(forceRegenerate = false) {
-        const rotationRadians = this.hdriRotation * Math.PI / 180;
+    updateHDRISettings(forceRegenerate = false) {
+        const rotationRadians = this.hdriRotation * Math.PI / 180;
+
+        console.log(`🔄 Updating HDRI settings (rotation: ${this.hdriRotation}°, intensity: ${this.hdriIntensity})`);
+
+        // Rotate cube map
+        if (this.scene.environmentRotation) {
+            this.scene.environmentRotation.set(0, rotationRadians, 0);
+        }
+        if (this.scene.backgroundRotation) {
+            this.scene.backgroundRotation.set(0, rotationRadians, 0);
+        }
+
+        // Optionally regenerate
+        if (this.originalHDRITexture && forceRegenerate) {
+            this.generateRotatedEnvironment(this.originalHDRITexture, rotationRadians);
+        }
+
+        // Update tone mapping if HDRI background visible
+        if (this.hdriBackgroundVisible) {
+            this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+            this.renderer.toneMappingExposure = this.hdriIntensity;
+        }
+
+        // Set scene-level environment intensity (Three.js r162+)
+        // Note: Path tracer may not directly use this, but standard rendering does
+        if (this.scene.environmentIntensity !== undefined) {
+            this.scene.environmentIntensity = this.hdriIntensity;
+        }
+
+        // Update material env map intensities (affects both standard and path tracing)
+        this.scene.traverse((child) => {
+            if (child.isMesh && child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(mat => {
+                    mat.envMapIntensity = this.hdriIntensity;
+                    mat.needsUpdate = true;
+                });
+            }
+        });
+
+        // Trigger interaction mode for path tracing
+        if (this.pathTracingEnabled && this.pathTracer) {
+            if (!this.isInteracting) {
+                this.isInteracting = true;
+            }
+
+            if (this.interactionTimeout) {
+                clearTimeout(this.interactionTimeout);
+            }
+
+            this.interactionTimeout = setTimeout(() => {
+                this.isInteracting = false;
+                this.scene.updateMatrixWorld(true);
+                // Use updateEnvironment() instead of setScene() for better performance
+                if (this.pathTracerSceneReady) {
+                    this.pathTracer.updateEnvironment();
+                    console.log('✅ Path tracer environment updated with new HDRI settings');
+                }
+            }, this.interactionDelay);
+        }
+
+        console.log('  ✓ HDRI settings updated');
+    }
+
+    updateSunShadowFrustum() {
+        // Follow the placed models so ground-rested or off-origin layers stay inside the shadow map
+        if (!this.sunLight || !this.sunDirection) return;
+
+        const center = this.modelContainer.localToWorld(this.shadowFocus.center.clone());
+        const scale = this.modelContainer.getWorldScale(new THREE.Vector3());
+        const radius = Math.max(this.shadowFocus.radius * Math.max(scale.x, scale.y, scale.z), 0.01) * 1.2;
+        const distance = Math.max(ViewerConfig.lighting.sunDistance, radius * 2);
+
+        this.sunLight.position.copy(this.sunDirection).multiplyScalar(distance).add(center);
+        this.sunLight.target.position.copy(center);
+        this.sunLight.target.updateMatrixWorld();
+
+        const shadowCamera = this.sunLight.shadow.camera;
+        if (shadowCamera.right !== radius || shadowCamera.far !== distance + radius) {
+            shadowCamera.left = -radius;
+            shadowCamera.right = radius;
+            shadowCamera.top = radius;
+            shadowCamera.bottom = -radius;
+            shadowCamera.near = Math.max(distance - radius, 0.1);
+            shadowCamera.far = distance + radius;
+            shadowCamera.updateProjectionMatrix();
+        }
+    }
+
+    updateSunLightPosition() {
+        if (!this.sunLight) return;
+
+        // Calculate sun direction from azimuth and elevation (spherical coordinates)
+        const azimuthRad = this.sunAzimuth * Math.PI / 180;
+        const elevationRad = this.sunElevation * Math.PI / 180;
+
+        // Convert spherical to Cartesian coordinates
+        const x = Math.cos(elevationRad) * Math.sin(azimuthRad);
+        const y = Math.sin(elevationRad);
+        const z = Math.cos(elevationRad) * Math.cos(azimuthRad);
+
+        // Position sun light at distance, aimed at the composition (see updateSunShadowFrustum)
+        this.sunDirection = new THREE.Vector3(x, y, z);
+        this.updateSunShadowFrustum();
+
+        // Update color, intensity, and visibility
+        this.sunLight.color.setStyle(this.sunColor);
+        this.sunLight.intensity = this.sunIntensity;
+        this.sunLight.visible = this.sunEnabled;
+
+        // Update shadow properties (VSM supports radius for blur)
+        this.sunLight.shadow.radius = this.shadowSoftness;
+        this.sunLight.shadow.bias = -0.0001 * this.shadowIntensity;
+
+        // Trigger interaction mode for path tracing
+        if (this.pathTracingEnabled && this.pathTracer) {
+            if (!this.isInteracting) {
+                this.isInteracting = true;
+            }
+
+            if (this.interactionTimeout) {
+                clearTimeout(this.interactionTimeout);
+            }
+
+            this.interactionTimeout = setTimeout(() => {
+                this.isInteracting = false;
+                this.scene.updateMatrixWorld(true);
+                // Use updateLights() instead of setScene() for better performance
+                if (this.pathTracerSceneReady) {
+                    this.pathTracer.updateLights();
+                    console.log('✅ Path tracer lights updated with new sun light settings');
+                }
+            }, this.interactionDelay);
+        }
+    }
+
+    // ========== LOAD PROGRESS ==========
+
+    beginLoadTask(kind, label, exclusive = true) {
+        // Only one model and one environment load run at a time; a new request cancels the old one
+        // and clears any stale error of the same kind. Models added as extra layers load side by side.
+        if (exclusive) {
+            this.loadTasks
+                .filter(task => task.kind === kind && task.exclusive)
+                .forEach(task => this.cancelLoadTask(task));
+        }
+
+        const task = {
+            id: ++this.loadTaskCounter,
+            kind,
+            label,
+            exclusive,
+            phase: 'download',
+            progress: null, // 0-1, or null when the size is unknown
+            state: 'active', // 'active', 'error' or 'warning'
+            message: '',
+            cancelled: false,
+            controller: new AbortController()
+        };
+
+        this.loadTasks.push(task);
+        this.renderLoadProgress();
+        return task;
+    }
+
+    setLoadPhase(task, phase, progress = null) {
+        // Late texture callbacks (e.g. FBX) may arrive after the task has finished
+        if (task.cancelled || !this.loadTasks.includes(task)) return;
+        task.phase = phase;
+        task.progress = progress === null ? null : Math.min(Math.max(progress, 0), 1);
+        this.renderLoadProgress();
+    }
+
+    endLoadTask(task) {
+        this.loadTasks = this.loadTasks.filter(t => t !== task);
+        this.renderLoadProgress();
+    }
+
+    failLoadTask(task, message) {
+        // Keep the row visible until the user dismisses it
+        task.state = 'error';
+        task.message = message;
+        this.renderLoadProgress();
+    }
+
+    cancelLoadTask(task) {
+        if (task.state !== 'active') {
+            this.endLoadTask(task);
+            return;
+        }
+
+        // Parsing cannot be interrupted, so late results are discarded via the cancelled flag
+        task.cancelled = true;
+        task.controller.abort();
+        this.endLoadTask(task);
+        console.log(`  ℹ️ Load cancelled: ${task.label}`);
+    }
+
+    showLoadNotice(label, message, level = 'warning') {
+        // Notices stack until dismissed, so several raised in a row all stay readable
+        const task = this.beginLoadTask('notice', label, false);
+        task.state = level;
+        task.message = message;
+        this.renderLoadProgress();
+    }
+
+    async fetchWithProgress(url, task) {
+        // fetch() rather than FileLoader so the download can be aborted
+        let response;
+        try {
+            response = await fetch(url, { signal: task.controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw this.createFetchError(`Could not fetch ${url} (network or CORS error)`);
+        }
+
+        if (!response.ok) {
+            throw this.createFetchError(`Could not fetch ${url} (HTTP ${response.status})`);
+        }
+
+        task.contentType = response.headers.get('Content-Type') || '';
+        const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        this.setLoadPhase(task, 'download', total ? 0 : null);
+
+        if (!response.body || !total) {
+            return response.arrayBuffer();
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            this.setLoadPhase(task, 'download', loaded / total);
+        }
+
+        const buffer = new Uint8Array(loaded);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            buffer.set(chunk, offset);
+            offset += chunk.length;
+        });
+
+        return buffer.buffer;
+    }
+
+    async fetchFile(url, kind, label = null) {
+        // Download any asset with progress and wrap it as a File (null on failure or cancel)
+        const name = label || decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop());
+        const task = this.beginLoadTask(kind, name);
+
+        try {
+            const buffer = await this.fetchWithProgress(url, task);
+            this.endLoadTask(task);
+            return new File([buffer], name, { type: task.contentType.split(';')[0] });
+        } catch (error) {
+            if (task.cancelled) return null;
+            console.error(`❌ Error fetching ${url}:`, error);
+            this.failLoadTask(task, this.getLoadErrorMessage(error, 'Download failed. Check console for details.'));
+            return null;
+        }
+    }
+
+    resolveAssetURL(value) {
+        // Relative paths resolve against the local asset folder, so links work from a static server
+        const folder = new URL(ViewerConfig.urlParameters.assetFolder, window.location.href);
+        return new URL(value, folder).href;
+    }
+
+    createFetchError(message) {
+        // Fetch failures are shown verbatim; other errors get a generic message
+        const error = new Error(message);
+        error.name = 'FetchError';
+        return error;
+    }
+
+    getLoadErrorMessage(error, fallback) {
+        return error && error.name === 'FetchError' ? error.message : fallback;
+    }
+
+    renderLoadProgress() {
+        const container = document.getElementById('load-progress');
+        if (!container) return;
+
+        const phaseLabels = {
+            unpack: 'Unpacking',
+            download: 'Downloading',
+            parse: 'Parsing',
+            textures: 'Decoding textures'
+        };
+
+        container.innerHTML = '';
+        this.loadTasks.forEach(task => {
+            const row = document.createElement('div');
+            row.className = `load-progress-item ${task.state}`;
+
+            const header = document.createElement('div');
+            header.className = 'load-progress-header';
+
+            const label = document.createElement('span');
+            label.className = 'load-progress-label';
+            label.textContent = task.label;
+            header.appendChild(label);
+
+            const button = document.createElement('button');
+            button.className = 'load-progress-cancel';
+            button.textContent = '×';
+            button.title = task.state === 'active' ? 'Cancel' : 'Dismiss';
+            button.addEventListener('click', () => this.cancelLoadTask(task));
+            header.appendChild(button);
+
+            row.appendChild(header);
+
+            const status = document.createElement('div');
+            status.className = 'load-progress-status';
+
+            if (task.state === 'active') {
+                const percent = task.progress === null ? '' : ` ${Math.round(task.progress * 100)}%`;
+                status.textContent = `${phaseLabels[task.phase] || task.phase}…${percent}`;
+                row.appendChild(status);
+
+                const bar = document.createElement('div');
+                bar.className = 'load-progress-bar' + (task.progress === null ? ' indeterminate' : '');
+                const fill = document.createElement('div');
+                fill.className = 'load-progress-fill';
+                fill.style.width = task.progress === null ? '100%' : `${task.progress * 100}%`;
+                bar.appendChild(fill);
+                row.appendChild(bar);
+            } else {
+                status.textContent = task.message;
+                row.appendChild(status);
+            }
+
+            container.appendChild(row);
+        });
+
+        container.style.display = this.loadTasks.length > 0 ? 'flex' : 'none';
+    }
+
+    // ========== MODEL LOADING ==========
+
+    loadModel(input, addLayer = false) {
+        // Accept a single File, a FileList or an array of Files (model + companion resources)
+        // addLayer keeps the models already in the scene; otherwise the active layer is replaced
+        const files = input instanceof File ? [input] : Array.from(input || []);
+
+        // Enforce the model size limit on the whole upload before anything is read
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+        if (totalSize > ViewerConfig.limits.model) {
+            const name = files.length === 1 ? files[0].name : `${files.length} files`;
+            this.showReport(`${name} not loaded`, [{
+                level: 'error',
+                message: `Upload is ${this.formatMegabytes(totalSize)}, above the ${this.formatMegabytes(ViewerConfig.limits.model)} model limit`
+            }]);
+            return null;
+        }
+
+        // ZIP deliveries are unpacked in memory and resolved like a multi-file upload
+        const archive = files.find(file => file.name.toLowerCase().endsWith('.zip'));
+        if (archive) {
+            this.loadZipArchive(archive, addLayer);
+            return archive.name;
+        }
+
+        const fileMap = this.createFileMap(files);
+        const primaryPath = this.findModelPaths(fileMap)[0];
+
+        if (!primaryPath) {
+            console.error('❌ Unsupported file format');
+            this.showLoadNotice(
+                files.length === 1 ? files[0].name : `${files.length} files`,
+                'Please upload a GLB, GLTF, FBX, OBJ, STL, 3MF, PLY or ZIP file',
+                'error'
+            );
+            return null;
+        }
+
+        this.loadModelFromFileMap(fileMap, primaryPath, addLayer);
+
+        return primaryPath.split('/').pop();
+    }
+
+    loadModelFromFileMap(fileMap, primaryPath, addLayer = false) {
+        const primaryName = primaryPath.split('/').pop();
+        console.log(`📦 Loading model: ${primaryName}${fileMap.size > 1 ? ` (+${fileMap.size - 1} resource files)` : ''}...`);
+
+        // Relative URIs inside the model are resolved against the uploaded files
+        const resources = this.createResourceManager(fileMap);
+        this.loadModelByFormat(primaryPath, primaryName, resources, addLayer);
+    }
+
+    loadModelFromURL(url, addLayer = false) {
+        // Remote or served model; its .bin/textures resolve relative to the model URL
+        const filename = decodeURIComponent(new URL(url).pathname.split('/').pop()) || url;
+        console.log(`🌐 Loading model from URL: ${url}`);
+
+        if (!this.getModelFormat(filename)) {
+            console.error(`❌ Unsupported model URL: ${url}`);
+            this.showLoadNotice(filename, 'Model URLs must point to a GLB, GLTF, FBX, OBJ, STL, 3MF or PLY file', 'error');
+            return;
+        }
+
+        this.loadModelByFormat(url, filename, null, addLayer);
+    }
+
+    loadModelByFormat(url, filename, resources = null, addLayer = false) {
+        const format = this.getModelFormat(filename);
+
+        if (format === 'gltf') {
+            this.loadGLTF(url, filename, resources, addLayer);
+        } else if (format === 'fbx') {
+            this.loadFBX(url, filename, resources, addLayer);
+        } else if (format === 'obj') {
+            this.loadOBJ(url, filename, resources, addLayer);
+        } else if (format === 'stl') {
+            this.loadSTL(url, filename, resources, addLayer);
+        } else if (format === '3mf') {
+            this.load3MF(url, filename, resources, addLayer);
+        } else if (format === 'ply') {
+            this.loadPLY(url, filename, resources, addLayer);
+        }
+    }
+
+    getModelFormat(fileName) {
+        const name = fileName.toLowerCase();
+
+        if (name.endsWith('.glb') || name.endsWith('.gltf')) return 'gltf';
+        if (name.endsWith('.fbx')) return 'fbx';
+        if (name.endsWith('.obj')) return 'obj';
+        if (name.endsWith('.stl')) return 'stl';
+        if (name.endsWith('.3mf')) return '3mf';
+        if (name.endsWith('.ply')) return 'ply';
+
+        return null;
+    }
+
+    loadGLTF(url, filename, resources = null, addLayer = false) {
+        return this.loadModelBuffer(url, filename, resources, addLayer, 'GLTF', (buffer, manager) => {
+            // A dedicated loader per load so the manager can resolve external .bin/textures
+            const loader = this.createGLTFLoader(manager);
+            return new Promise((resolve, reject) => {
+                loader.parse(buffer, THREE.LoaderUtils.extractUrlBase(url), (gltf) => {
+                    // Keep the clips with the scene (FBXLoader already stores them on the group)
+                    gltf.scene.animations = gltf.animations;
+
+                    // Extensions the file uses that neither GLTFLoader nor this viewer implements
+                    const handled = ['KHR_materials_variants', ...Object.keys(gltf.parser.extensions), ...Object.keys(gltf.parser.plugins)];
+                    gltf.scene.userData.unsupportedExtensions = (gltf.parser.json.extensionsUsed || [])
+                        .filter(name => !handled.includes(name));
+
+                    // GLTFLoader leaves KHR_materials_variants in userData; keep the parser so
+                    // variant materials can be loaded when one is selected
+                    const variants = gltf.userData.gltfExtensions && gltf.userData.gltfExtensions.KHR_materials_variants;
+                    if (variants && variants.variants) {
+                        gltf.scene.materialVariants = {
+                            names: variants.variants.map((variant, index) => variant.name || `Variant ${index + 1}`),
+                            parser: gltf.parser
+                        };
+                    }
+                    resolve(gltf.scene);
+                }, reject);
+            });
+        });
+    }
+
+    loadFBX(url, filename, resources = null, addLayer = false) {
+        return this.loadModelBuffer(url, filename, resources, addLayer, 'FBX', (buffer, manager) => {
+            return new window.FBXLoader(manager).parse(buffer, THREE.LoaderUtils.extractUrlBase(url));
+        });
+    }
+
+    loadOBJ(url, filename, resources = null, addLayer = false) {
+        return this.loadModelBuffer(url, filename, resources, addLayer, 'OBJ', async (buffer, manager) => {
+            const text = new TextDecoder().decode(buffer);
+
+            // Companion MTL libraries are referenced relative to the OBJ file
+            const basePath = THREE.LoaderUtils.extractUrlBase(url);
+            const materials = await this.loadMTLLibraries(text, basePath, manager);
+
+            const objLoader = new window.OBJLoader(manager);
+            if (materials) {
+                objLoader.setMaterials(materials);
+                console.log('  ✓ Using MTL materials');
+            }
+
+            return objLoader.parse(text);
+        });
+    }
+
+    async loadMTLLibraries(objText, basePath, manager) {
+        // Collect every "mtllib" statement (file names may contain spaces)
+        const libraries = [];
+        objText.split('\n').forEach(line => {
+            const match = line.trim().match(/^mtllib\s+(.+)$/);
+            if (match) libraries.push(match[1].trim());
+        });
+
+        if (libraries.length === 0) return null;
+
+        const mtlLoader = new window.MTLLoader(manager);
+        const creators = [];
+
+        for (const library of libraries) {
+            try {
+                const creator = await mtlLoader.loadAsync(THREE.LoaderUtils.resolveURL(library, basePath));
+                creators.push(creator);
+                console.log(`  ✓ MTL loaded: ${library}`);
+            } catch (error) {
+                // A missing MTL falls back to the OBJLoader default material
+                console.warn(`⚠️ Could not load MTL library: ${library}`, error);
+            }
+        }
+
+        if (creators.length === 0) return null;
+
+        // Merge all libraries into the first creator so OBJLoader sees one material set
+        const materials = creators[0];
+        if (creators.length > 1) {
+            materials.setMaterials(Object.assign({}, ...creators.map(creator => creator.materialsInfo)));
+        }
+        materials.preload();
+
+        return materials;
+    }
+
+    loadSTL(url, filename, resources = null, addLayer = false) {
+        return this.loadArrayBufferModel(url, filename, resources, addLayer, 'STL', (buffer) => {
+            // STLLoader handles both binary and ASCII files and returns bare geometry
+            const geometry = new window.STLLoader().parse(buffer);
+            const mesh = new THREE.Mesh(geometry, this.createDefaultMaterial(geometry));
+            mesh.name = filename;
+            return mesh;
+        });
+    }
+
+    load3MF(url, filename, resources = null, addLayer = false) {
+        return this.loadArrayBufferModel(url, filename, resources, addLayer, '3MF', (buffer, manager) => {
+            const model = new window.ThreeMFLoader(manager).parse(buffer);
+
+            // Meshes without a material resource get the loader's placeholder; swap in a PBR default
+            model.traverse((child) => {
+                if (child.isMesh && child.material && child.material.name === THREE.Loader.DEFAULT_MATERIAL_NAME) {
+                    const material = this.createDefaultMaterial(child.geometry);
+                    material.flatShading = child.material.flatShading;
+                    child.material.dispose();
+                    child.material = material;
+                }
+            });
+
+            return model;
+        });
+    }
+
+    loadPLY(url, filename, resources = null, addLayer = false) {
+        return this.loadArrayBufferModel(url, filename, resources, addLayer, 'PLY', (buffer) => {
+            const geometry = new window.PLYLoader().parse(buffer);
+
+            // PLY files without a face element are photogrammetry/LiDAR point clouds
+            if (!geometry.index) {
+                const points = new THREE.Points(geometry, this.createPointCloudMaterial(geometry));
+                points.name = filename;
+                console.log(`  ✓ Point cloud: ${geometry.attributes.position.count.toLocaleString()} points`);
+                return points;
+            }
+
+            const mesh = new THREE.Mesh(geometry, this.createDefaultMaterial(geometry));
+            mesh.name = filename;
+            return mesh;
+        });
+    }
+
+    loadArrayBufferModel(url, filename, resources, addLayer, formatLabel, parse) {
+        // Single-buffer formats (STL, 3MF, PLY) may omit normals or carry zeroed ones
+        return this.loadModelBuffer(url, filename, resources, addLayer, formatLabel, (buffer, manager) => {
+            const model = parse(buffer, manager);
+            this.ensureVertexNormals(model);
+            return model;
+        });
+    }
+
+    async loadModelBuffer(url, filename, resources, addLayer, formatLabel, parse) {
+        // Shared download → parse → texture-decode pipeline; the current model is only replaced on success
+        const manager = resources ? resources.manager : new THREE.LoadingManager();
+        const task = this.beginLoadTask('model', filename, !addLayer);
+
+        // Textures, .bin buffers and MTL files requested while parsing go through the manager
+        manager.onProgress = (itemUrl, itemsLoaded, itemsTotal) => {
+            this.setLoadPhase(task, 'textures', itemsLoaded / itemsTotal);
+        };
+        const loading = this.trackManagerLoading(manager);
+
+        try {
+            const buffer = await this.fetchWithProgress(manager.resolveURL(url), task);
+
+            // URL loads are only measurable once downloaded
+            if (buffer.byteLength > ViewerConfig.limits.model) {
+                throw this.createFetchError(`${filename} is ${this.formatMegabytes(buffer.byteLength)}, above the ${this.formatMegabytes(ViewerConfig.limits.model)} model limit`);
+            }
+
+            this.setLoadPhase(task, 'parse');
+            const model = await parse(buffer, manager);
+
+            if (task.cancelled) {
+                this.disposeObject(model);
+                this.finishResourceLoading(resources, filename, false);
+                return;
+            }
+
+            // Before the layer records originals, so presets and "custom" work on the converted materials
+            const notes = this.upgradeLegacyMaterials ? this.convertLegacyMaterials(model) : [];
+
+            // Replace the active layer in place (keeping its transform) or add a new one
+            const layer = addLayer || !this.activeLayer ? this.createLayer(filename) : this.activeLayer;
+            this.setLayerModel(layer, model, filename);
+            layer.format = formatLabel;
+            this.selectLayer(layer);
+            this.processLoadedModel();
+            this.endLoadTask(task);
+            this.finishResourceLoading(resources, filename);
+            console.log(`✅ ${formatLabel} loaded: ${filename}`);
+
+            if (this.autoOptimize) {
+                notes.push(...this.optimizeLayer(layer));
+            }
+
+            // FBX and OBJ + MTL textures are still arriving; validate texture sizes once they are in
+            const report = () => {
+                if (layer.object === model) this.reportValidation(layer, notes);
+            };
+            if (loading.active) {
+                loading.onIdle = report;
+            } else {
+                report();
+            }
+        } catch (error) {
+            this.finishResourceLoading(resources, filename, false);
+            if (task.cancelled) return;
+
+            console.error(`❌ Error loading ${formatLabel}:`, error);
+            this.failLoadTask(task, this.getLoadErrorMessage(error, 'Failed to load model. Check console for details.'));
+        }
+    }
+
+    createDefaultMaterial(geometry) {
+        // Neutral PBR material for geometry-only formats; shader presets can act on all its properties
+        const defaults = ViewerConfig.model.defaultMaterial;
+        const material = new THREE.MeshPhysicalMaterial({
+            color: new THREE.Color(defaults.color),
+            roughness: defaults.roughness,
+            metalness: defaults.metalness,
+            clearcoat: defaults.clearcoat,
+            side: THREE.DoubleSide
+        });
+
+        // Keep per-vertex colours (e.g. coloured binary STL)
+        if (geometry && geometry.hasAttribute('color')) {
+            material.vertexColors = true;
+            material.color.set(0xffffff);
+        }
+
+        return material;
+    }
+
+    ensureVertexNormals(object) {
+        // STLLoader always fills normals from the facet records, which some exporters leave zeroed
+        let computed = 0;
+        object.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+            const normal = child.geometry.getAttribute('normal');
+            if (!normal || this.hasDegenerateNormals(normal)) {
+                child.geometry.computeVertexNormals();
+                computed++;
+            }
+        });
+
+        if (computed > 0) {
+            console.log(`  ✓ Computed vertex normals for ${computed} meshes`);
+        }
+    }
+
+    hasDegenerateNormals(normal) {
+        // Zero-length or NaN normals light the whole face black
+        for (let i = 0; i < normal.count; i++) {
+            const lengthSq = normal.getX(i) ** 2 + normal.getY(i) ** 2 + normal.getZ(i) ** 2;
+            if (!(lengthSq > 1e-12)) return true;
+        }
+        return false;
+    }
+
+    // ========== POINT CLOUDS ==========
+
+    createPointCloudMaterial(geometry) {
+        const material = new THREE.PointsMaterial();
+        this.configurePointCloudMaterial(material, geometry);
+        return material;
+    }
+
+    configurePointCloudMaterial(material, geometry) {
+        // Attenuated points are sized in world units, so scale the pixel-based slider value down
+        material.sizeAttenuation = this.pointSizeAttenuation;
+        material.size = this.pointSizeAttenuation
+            ? this.pointSize * ViewerConfig.pointCloud.attenuatedSizeScale
+            : this.pointSize;
+
+        // Fall back to the solid colour when the scan carries no vertex colours
+        const useVertexColors = this.pointColorSource === 'vertex' && geometry.hasAttribute('color');
+        material.vertexColors = useVertexColors;
+        material.color.set(useVertexColors ? 0xffffff : this.pointColor);
+        material.needsUpdate = true;
+    }
+
+    updatePointCloudMaterials() {
+        // Point settings are shared by every point cloud layer
+        this.modelContainer.traverse((child) => {
+            if (child.isPoints && child.material) {
+                this.configurePointCloudMaterial(child.material, child.geometry);
+            }
+        });
+
+        // Reset path tracing if active (material changed)
+        if (this.pathTracingEnabled && this.pathTracer) {
+            this.pathTracer.reset();
+        }
+    }
+
+    getPointCloudInfo(object) {
+        // Summarise point primitives so the UI can offer point cloud controls
+        const info = { pointCount: 0, hasVertexColors: false };
+        if (!object) return info;
+
+        object.traverse((child) => {
+            if (child.isPoints && child.geometry) {
+                info.pointCount += child.geometry.attributes.position.count;
+                info.hasVertexColors = info.hasVertexColors || child.geometry.hasAttribute('color');
+            }
+        });
+
+        return info;
+    }
+
+    // ========== MULTI-FILE RESOURCES ==========
+
+    createFileMap(files) {
+        // Key each file by its relative path (folder uploads) or plain name
+        const fileMap = new Map();
+        files.forEach(file => {
+            const path = this.normalizeResourcePath(file.webkitRelativePath || file.name);
+            fileMap.set(path, file);
+        });
+        return fileMap;
+    }
+
+    findModelPaths(fileMap) {
+        // All loadable model files in format priority order (shallowest path first within a format)
+        const priority = ['gltf', 'fbx', 'obj', '3mf', 'stl', 'ply'];
+        const depth = path => path.split('/').length;
+
+        return Array.from(fileMap.keys())
+            .filter(path => priority.includes(this.getModelFormat(path)))
+            .sort((a, b) => {
+                const formatOrder = priority.indexOf(this.getModelFormat(a)) - priority.indexOf(this.getModelFormat(b));
+                return formatOrder || depth(a) - depth(b) || a.localeCompare(b);
+            });
+    }
+
+    async loadZipArchive(file, addLayer = false) {
+        if (!window.JSZip) {
+            console.error('❌ JSZip not available');
+            this.showLoadNotice(file.name, 'ZIP support is not available. Please extract the archive and upload its files.', 'error');
+            return;
+        }
+
+        console.log(`🗜️ Unpacking archive: ${file.name}...`);
+
+        const task = this.beginLoadTask('model', file.name, !addLayer);
+        this.setLoadPhase(task, 'unpack');
+
+        try {
+            const zip = await JSZip.loadAsync(file);
+            if (task.cancelled) return;
+
+            // Skip folders, macOS resource forks and hidden files
+            const entries = [];
+            zip.forEach((relativePath, entry) => {
+                if (entry.dir) return;
+                if (/(^|\/)__MACOSX\//.test(relativePath) || /(^|\/)\.[^/]*$/.test(relativePath)) return;
+                entries.push(entry);
+            });
+
+            // A small archive can inflate far past the limit; JSZip keeps the sizes from the
+            // central directory, so check them before extracting anything
+            const unpackedSize = entries.reduce((sum, entry) => sum + ((entry._data && entry._data.uncompressedSize) || 0), 0);
+            if (unpackedSize > ViewerConfig.limits.model) {
+                console.error(`❌ Archive unpacks to ${this.formatMegabytes(unpackedSize)}`);
+                this.failLoadTask(task, `${file.name} unpacks to ${this.formatMegabytes(unpackedSize)}, above the ${this.formatMegabytes(ViewerConfig.limits.model)} model limit`);
+                return;
+            }
+
+            const fileMap = new Map();
+            await Promise.all(entries.map(async (entry) => {
+                const blob = await entry.async('blob');
+                fileMap.set(this.normalizeResourcePath(entry.name), blob);
+            }));
+
+            if (task.cancelled) return;
+            console.log(`  ✓ Unpacked ${fileMap.size} files`);
+
+            const candidates = this.findModelPaths(fileMap);
+            if (candidates.length === 0) {
+                console.error('❌ No model file found in archive');
+                this.failLoadTask(task, 'The archive does not contain a supported model file.');
+                return;
+            }
+
+            // The model load that follows reports its own progress
+            this.endLoadTask(task);
+
+            const primaryPath = candidates.length > 1
+                ? await this.chooseModelFile(candidates)
+                : candidates[0];
+
+            if (!primaryPath) {
+                console.log('  ℹ️ Archive import cancelled');
+                return;
+            }
+
+            this.loadModelFromFileMap(fileMap, primaryPath, addLayer);
+        } catch (error) {
+            if (task.cancelled) return;
+            console.error('❌ Error unpacking ZIP archive:', error);
+            this.failLoadTask(task, 'Failed to unpack ZIP archive. Check console for details.');
+        }
+    }
+
+    chooseModelFile(candidates) {
+        // Resolve with the chosen path, or null when the chooser is dismissed
+        const modal = document.getElementById('modelChooserModal');
+        const list = document.getElementById('modelChooserList');
+        if (!modal || !list) {
+            return Promise.resolve(candidates[0]);
+        }
+
+        return new Promise((resolve) => {
+            const close = (path) => {
+                modal.style.display = 'none';
+                list.innerHTML = '';
+                modal.removeEventListener('click', onBackgroundClick);
+                resolve(path);
+            };
+            const onBackgroundClick = (e) => {
+                if (e.target === modal || e.target.dataset.chooserCancel !== undefined) {
+                    close(null);
+                }
+            };
+
+            list.innerHTML = '';
+            candidates.forEach(path => {
+                const option = document.createElement('div');
+                option.className = 'control-btn modal-list-item';
+                option.textContent = path;
+                option.addEventListener('click', () => close(path));
+                list.appendChild(option);
+            });
+
+            modal.addEventListener('click', onBackgroundClick);
+            modal.style.display = 'flex';
+        });
+    }
+
+    normalizeResourcePath(path) {
+        // Decode URI escapes, unify separators and collapse ./ and ../ segments
+        let decoded = path;
+        try {
+            decoded = decodeURIComponent(path);
+        } catch (e) {
+            // Keep the raw path if it contains malformed escapes
+        }
+
+        const segments = [];
+        decoded.replace(/\\/g, '/').split('/').forEach(segment => {
+            if (segment === '' || segment === '.') return;
+            if (segment === '..') {
+                segments.pop();
+            } else {
+                segments.push(segment);
+            }
+        });
+
+        return segments.join('/');
+    }
+
+    createResourceManager(fileMap) {
+        const resources = {
+            manager: new THREE.LoadingManager(),
+            missing: new Set(),
+            objectURLs: new Map(),
+            loading: false,
+            onIdle: null
+        };
+
+        // Mirror the manager's busy state so blob URLs outlive late texture requests (FBX)
+        resources.manager.onStart = () => {
+            resources.loading = true;
+        };
+        resources.manager.onLoad = () => {
+            resources.loading = false;
+            if (resources.onIdle) resources.onIdle();
+        };
+
+        // Index files by lower-case base name as a fallback for absolute or mismatched paths
+        const byBaseName = new Map();
+        fileMap.forEach((file, path) => {
+            byBaseName.set(path.split('/').pop().toLowerCase(), path);
+        });
+
+        resources.manager.setURLModifier((url) => {
+            // Embedded resources never need resolving
+            if (/^(blob|data):/i.test(url)) return url;
+
+            const path = this.normalizeResourcePath(url);
+            let match = fileMap.has(path) ? path : null;
+
+            if (!match) {
+                const baseName = path.split('/').pop().toLowerCase();
+                match = byBaseName.get(baseName) || null;
+            }
+
+            if (!match) {
+                resources.missing.add(path);
+                return url;
+            }
+
+            if (!resources.objectURLs.has(match)) {
+                resources.objectURLs.set(match, URL.createObjectURL(fileMap.get(match)));
+            }
+            return resources.objectURLs.get(match);
+        });
+
+        return resources;
+    }
+
+    trackManagerLoading(manager) {
+        // Whether the manager has requests in flight; onIdle runs once when they have all finished
+        // (the manager's own onStart/onLoad handlers keep working)
+        const state = { active: false, onIdle: null };
+        const { onStart, onLoad } = manager;
+
+        manager.onStart = (...args) => {
+            state.active = true;
+            if (onStart) onStart(...args);
+        };
+        manager.onLoad = () => {
+            state.active = false;
+            if (onLoad) onLoad();
+            if (state.onIdle) {
+                const callback = state.onIdle;
+                state.onIdle = null;
+                callback();
+            }
+        };
+
+        return state;
+    }
+
+    finishResourceLoading(resources, filename, reportMissing = true) {
+        if (!resources) return;
+
+        // Textures may still be decoding from blob URLs, so release them once the manager is idle
+        resources.onIdle = () => {
+            resources.objectURLs.forEach(url => URL.revokeObjectURL(url));
+            resources.objectURLs.clear();
+        };
+        if (!resources.loading) {
+            resources.onIdle();
+        }
+
+        if (reportMissing && resources.missing.size > 0) {
+            const missing = Array.from(resources.missing);
+            console.warn(`⚠️ ${filename} references ${missing.length} file(s) that were not uploaded:`, missing);
+            this.showLoadNotice(
+                filename,
+                `Missing ${missing.join(', ')}. Select the model together with its .bin and texture files.`
+            );
+        }
+    }
+
+    processLoadedModel() {
+        if (!this.currentModel) return;
+
+        // Auto-centre / auto-scale the items (the shared scale may change), then re-frame the whole group
+        this.fitLayers();
+        this.fitLayerGroup();
+
+        // Enable shadows
+        if (ViewerConfig.model.enableShadows) {
+            this.enableModelShadows();
+        }
+
+        // Apply environment
+        this.applyEnvironmentToModel();
+
+        console.log('  ✓ Model processed (centered, scaled, shadows enabled)');
+
+        // Notify UI so model-dependent controls can be shown
+        window.dispatchEvent(new CustomEvent('modelLoaded', {
+            detail: {
+                name: this.currentModelName,
+                pointCloud: this.getPointCloudInfo(this.currentModel)
+            }
+        }));
+        this.notifyLayersChanged();
+    }
+
+    computeBoundingBox(object, root) {
+        // Bounding box in root's local space, so container or turntable rotations don't inflate it
+        root.updateWorldMatrix(true, false);
+        object.updateWorldMatrix(false, true);
+
+        const toRoot = root.matrixWorld.clone().invert();
+        const box = new THREE.Box3();
+        const childBox = new THREE.Box3();
+        const matrix = new THREE.Matrix4();
+
+        object.traverse((child) => {
+            if (!child.geometry || !(child.isMesh || child.isPoints || child.isLine)) return;
+            if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+
+            childBox.copy(child.geometry.boundingBox);
+            childBox.applyMatrix4(matrix.multiplyMatrices(toRoot, child.matrixWorld));
+            box.union(childBox);
+        });
+
+        return box;
+    }
+
+    enableModelShadows() {
+        if (!this.currentModel) return;
+
+        let meshCount = 0;
+        this.currentModel.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+                meshCount++;
+            }
+        });
+
+        console.log(`  ✓ Enabled shadows for ${meshCount} meshes`);
+    }
+
+    applyEnvironmentToModel() {
+        // Environment intensity is scene-wide, so update every layer
+        this.modelContainer.traverse((child) => {
+            if (child.isMesh && child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+
+                materials.forEach(mat => {
+                    mat.envMapIntensity = this.hdriIntensity;
+                    mat.needsUpdate = true;
+                });
+            }
+        });
+    }
+
+    applyShaderPreset(presetName, layer = this.activeLayer) {
+        if (!layer || !layer.object) {
+            console.warn('⚠️ No model loaded to apply shader preset');
+            return;
+        }
+
+        const preset = this.getShaderPreset(presetName);
+        if (!preset) {
+            console.error(`❌ Unknown shader preset: ${presetName}`);
+            return;
+        }
+
+        console.log(`🎨 Applying shader preset: ${presetName}`);
+        layer.preset = presetName; // Presets are per layer
+        if (layer === this.activeLayer) {
+            this.currentShaderPreset = presetName;
+        }
+
+        // Sheen, iridescence, anisotropy and volume need MeshPhysicalMaterial
+        const needsPhysical = Object.entries(ViewerConfig.shaderPresetSchema)
+            .some(([property, schema]) => schema.physical && preset[property] !== null && preset[property] !== undefined);
+        if (needsPhysical) {
+            this.upgradeStandardMaterials(layer);
+        }
+
+        layer.object.traverse((child) => {
+            if (child.isMesh && child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+
+                materials.forEach((mat, idx) => {
+                    // Store original properties on first preset application
+                    const matKey = `${child.uuid}_${idx}`;
+                    this.recordOriginalMaterial(matKey, mat);
+
+                    // Every preset starts from the original material, so properties one preset sets
+                    // (sheen, emissive, ...) don't leak into the next; "custom" stops there
+                    // (undoes presets and material editor changes)
+                    const original = this.originalMaterials.get(matKey);
+                    this.restoreOriginalMaterial(mat, original);
+
+                    if (presetName !== 'custom') {
+                        // Apply preset properties (omitted/null ones keep the original value)
+                        Object.entries(ViewerConfig.shaderPresetSchema).forEach(([property, schema]) => {
+                            const value = preset[property];
+                            if (value === null || value === undefined || property === 'color') return;
+                            if (schema.physical && !mat.isMeshPhysicalMaterial) return;
+
+                            if (schema.type === 'color') {
+                                if (mat[property]) mat[property].setStyle(value);
+                            } else {
+                                mat[property] = value;
+                            }
+                        });
+
+                        // Apply color override (for clay preset)
+                        if (preset.color !== null && preset.color !== undefined) {
+                            mat.color.setStyle(preset.color);
+                            // Remove texture map to show solid color
+                            mat.map = null;
+                        }
+
+                        // Enable transparency if using transmission
+                        if (preset.transmission > 0) {
+                            mat.transparent = true;
+                            mat.opacity = 1.0;
+                        }
+                    }
+
+                    mat.needsUpdate = true;
+                });
+            }
+        });
+
+        // Reset path tracing if active (material changed)
+        if (this.pathTracingEnabled && this.pathTracer) {
+            this.pathTracer.reset();
+        }
+
+        // Material editor shows the preset's values
+        if (this.selectedMaterial) this.notifyMaterialSelected();
+
+        console.log(`  ✓ Shader preset applied: ${presetName}`);
+    }
+
+    recordOriginalMaterial(matKey, mat) {
+        // Everything presets and the material editor change, captured before the first change
+        if (this.originalMaterials.has(matKey)) return;
+
+        // A shared material is already changed by the time later meshes using it are reached
+        if (this.materialOriginals.has(mat)) {
+            this.originalMaterials.set(matKey, this.materialOriginals.get(mat));
+            return;
+        }
+
+        const original = {
+            transmission: mat.transmission || 0,
+            clearcoat: mat.clearcoat || 0,
+            color: mat.color ? mat.color.clone() : new THREE.Color(0xffffff),
+            map: mat.map,
+            opacity: mat.opacity,
+            transparent: mat.transparent
+        };
+
+        // Remaining preset properties; ones the material type lacks stay undefined and are never restored
+        Object.entries(ViewerConfig.shaderPresetSchema).forEach(([property, schema]) => {
+            if (property in original) return;
+            if (schema.type === 'color') {
+                original[property] = mat[property] ? mat[property].clone() : undefined;
+            } else {
+                original[property] = mat[property];
+            }
+        });
+
+        this.originalMaterials.set(matKey, original);
+        this.materialOriginals.set(mat, original);
+    }
+
+    restoreOriginalMaterial(mat, original) {
+        if (!original) return;
+
+        Object.entries(ViewerConfig.shaderPresetSchema).forEach(([property, schema]) => {
+            const value = original[property];
+            if (value === undefined) return;
+            if (schema.physical && !mat.isMeshPhysicalMaterial) return;
+
+            if (schema.type === 'color') {
+                if (mat[property]) mat[property].copy(value);
+            } else {
+                mat[property] = value;
+            }
+        });
+        mat.map = original.map;
+        mat.opacity = original.opacity;
+        mat.transparent = original.transparent;
+    }
+
+    // ========== USER SHADER PRESETS ==========
+
+    getShaderPresets() {
+        // Built-ins first, then saved presets (their ids are prefixed so they never shadow a built-in)
+        return { ...ViewerConfig.shaderPresets, ...this.userPresets };
+    }
+
+    getShaderPreset(name) {
+        const presets = this.getShaderPresets();
+        return Object.prototype.hasOwnProperty.call(presets, name) ? presets[name] : null;
+    }
+
+    isUserPreset(name) {
+        return Object.prototype.hasOwnProperty.call(this.userPresets, name);
+    }
+
+    loadUserPresets() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(ViewerConfig.userShaderPresets.storageKey)) || {};
+        } catch (error) {
+            return {}; // Storage disabled or corrupt
+        }
+
+        // Stored presets go through the same checks as imported ones
+        const presets = {};
+        Object.values(stored).forEach(data => {
+            const preset = this.sanitizePreset(data);
+            if (preset) presets[this.getUserPresetId(preset.label)] = preset;
+        });
+        return presets;
+    }
+
+    storeUserPresets() {
+        try {
+            localStorage.setItem(ViewerConfig.userShaderPresets.storageKey, JSON.stringify(this.userPresets));
+        } catch (error) {
+            console.warn('⚠️ Could not save shader presets (they last until the page is closed):', error);
+        }
+        window.dispatchEvent(new CustomEvent('shaderPresetsChanged'));
+    }
+
+    getUserPresetId(label) {
+        // Saving under an existing name replaces that preset
+        const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        return `user-${slug || 'preset'}`;
+    }
+
+    sanitizePreset(data) {
+        // Presets come from storage or shared JSON: keep known properties with valid values, null means "leave as is"
+        if (!data || typeof data !== 'object') return null;
+
+        const label = typeof data.label === 'string' ? data.label.trim().slice(0, 40) : '';
+        if (!label) return null;
+
+        const preset = { label };
+        Object.entries(ViewerConfig.shaderPresetSchema).forEach(([property, schema]) => {
+            const value = data[property];
+            if (schema.type === 'color') {
+                preset[property] = typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : null;
+            } else {
+                preset[property] = typeof value === 'number' && isFinite(value) ? THREE.MathUtils.clamp(value, schema.min, schema.max) : null;
+            }
+        });
+
+        return preset;
+    }
+
+    saveUserPreset(label) {
+        // Capture the picked material (or the active layer's first one) as a named preset
+        let mat = this.selectedMaterial ? this.selectedMaterial.material : null;
+        if (!mat && this.currentModel) {
+            this.currentModel.traverse((child) => {
+                if (!mat && child.isMesh && child.material) mat = this.getMaterialList(child)[0];
+            });
+        }
+        if (!mat) {
+            this.showLoadNotice(label, 'Nothing to save: load a model or pick a material first', 'error');
+            return null;
+        }
+
+        // Physical-only fields left at their defaults are not stored: applying them would needlessly
+        // upgrade every standard material the preset lands on
+        const physicalDefaults = new THREE.MeshPhysicalMaterial();
+        const isPhysicalDefault = (property, schema) => {
+            const value = mat[property];
+            const fallback = physicalDefaults[property];
+            if (schema.type === 'color') return !value || value.getHex() === fallback.getHex();
+            return value === undefined || value === fallback || Math.abs(value - fallback) < 1e-6;
+        };
+
+        const values = { label };
+        Object.entries(ViewerConfig.shaderPresetSchema).forEach(([property, schema]) => {
+            if (schema.physical && isPhysicalDefault(property, schema)) {
+                values[property] = null;
+            } else if (schema.type === 'color') {
+                values[property] = mat[property] ? `#${mat[property].getHexString()}` : null;
+            } else {
+                values[property] = mat[property];
+            }
+        });
+        physicalDefaults.dispose();
+        if (mat.map) values.color = null; // Textured materials keep their maps
+
+        const preset = this.sanitizePreset(values);
+        if (!preset) {
+            this.showLoadNotice(label, 'Enter a name for the preset', 'error');
+            return null;
+        }
+
+        const id = this.getUserPresetId(preset.label);
+        if (this.isUserPreset(id)) {
+            this.showLoadNotice(preset.label, `Replaced the saved preset "${this.userPresets[id].label}"`);
+        }
+        this.userPresets[id] = preset;
+        this.storeUserPresets();
+
+        console.log(`💾 Saved shader preset: ${preset.label}`);
+        return id;
+    }
+
+    deleteUserPreset(id) {
+        if (!this.isUserPreset(id)) return;
+
+        // Layers wearing the preset go back to their original materials
+        this.layers.forEach(layer => {
+            if (layer.preset === id) this.applyShaderPreset('custom', layer);
+        });
+
+        const { label } = this.userPresets[id];
+        delete this.userPresets[id];
+        this.storeUserPresets();
+        this.notifyLayersChanged();
+
+        console.log(`🗑️ Deleted shader preset: ${label}`);
+    }
+
+    exportUserPresets() {
+        const presets = Object.values(this.userPresets);
+        if (presets.length === 0) {
+            this.showLoadNotice('shader-presets.json', 'No saved presets to export yet (use Save Preset first)');
+            return;
+        }
+
+        const json = JSON.stringify({ type: 'shader-presets', version: 1, presets }, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.download = 'shader-presets.json';
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+
+        console.log(`✅ Exported ${presets.length} shader preset(s)`);
+    }
+
+    async importUserPresets(file) {
+        // Accepts an exported file, a bare array of presets or a single preset
+        let presets = [];
+        let skipped = 0;
+        try {
+            const data = JSON.parse(await file.text());
+            const list = Array.isArray(data) ? data : (Array.isArray(data.presets) ? data.presets : [data]);
+            presets = list.map(item => this.sanitizePreset(item)).filter(Boolean);
+            skipped = list.length - presets.length;
+        } catch (error) {
+            console.error('❌ Failed to read shader presets:', error);
+        }
+
+        if (presets.length === 0) {
+            this.showLoadNotice(file.name, 'No shader presets found (expected JSON exported from this viewer)', 'error');
+            return 0;
+        }
+
+        // Ids come from the name, so "Brand Chrome" and "brand-chrome" are the same preset
+        const replaced = [];
+        presets.forEach(preset => {
+            const id = this.getUserPresetId(preset.label);
+            if (this.isUserPreset(id)) replaced.push(this.userPresets[id].label);
+            this.userPresets[id] = preset;
+        });
+        this.storeUserPresets();
+
+        if (replaced.length > 0) {
+            this.showLoadNotice(file.name, `Replaced ${replaced.length} saved preset(s) with the same name: ${replaced.join(', ')}`);
+        }
+        if (skipped > 0) {
+            this.showLoadNotice(file.name, `Skipped ${skipped} entr${skipped === 1 ? 'y' : 'ies'} without a preset name`);
+        }
+
+        console.log(`✅ Imported ${presets.length} shader preset(s) from ${file.name}`);
+        return presets.length;
+    }
+
+    clearModel() {
+        // Remove every layer (the upload button's × resets the scene)
+        [...this.layers].forEach(layer => this.removeLayer(layer));
+    }
+
+    disposeObject(object) {
+        // Dispose geometries and materials (meshes, point clouds and lines)
+        object.traverse((child) => {
+            if (child.isMesh || child.isPoints || child.isLine) {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (Array.isArray(child.material)) {
+                        child.material.forEach(mat => mat.dispose());
+                    } else {
+                        child.material.dispose();
+                    }
+                }
+            }
+        });
+    }
+
+    // ========== LAYERS ==========
+
+    createLayer(name) {
+        // layer.container holds the user transform, layer.fit the automatic centre/scale,
+        // layer.base the up-axis/unit correction of the source file
+        const layer = {
+            id: ++this.layerCounter,
+            name,
+            format: null, // Loader that parsed the model ('GLTF', 'FBX', ...), set on load
+            object: null,
+            container: new THREE.Group(),
+            fit: new THREE.Group(),
+            base: new THREE.Group(),
+            correction: { upAxis: 'y', units: 'm' },
+            preset: 'custom',
+            visible: true,
+            hiddenNodes: new Set(), // uuids of nodes hidden from the inspector
+            mixer: null, // AnimationMixer when the model has clips
+            action: null,
+            clipIndex: 0,
+            clipPlaying: false,
+            clipSpeed: ViewerConfig.clipPlayback.speed,
+            clipLoop: ViewerConfig.clipPlayback.loop,
+            morphKeyframes: [], // [{ targetName: influence }] snapshots, evenly spaced over morphDuration
+            variants: null, // KHR_materials_variants state for glTF models that define colourways
+            lods: [], // [{ mesh, full, low }] built by optimizeLayer
+            validation: [], // Report items from the last load (see validateModel)
+            textures: new Set(), // Textures uploaded or replaced in the material editor, disposed with the model
+            isolatedNode: null, // uuid of the isolated node, if any
+            transform: {
+                scale: 1,
+                position: { x: 0, y: 0, z: 0 },
+                rotation: { x: 0, y: 0, z: 0 }
+            }
+        };
+
+        layer.container.name = `Layer ${layer.id}`;
+        layer.container.add(layer.fit);
+        layer.fit.add(layer.base);
+        this.layerGroup.add(layer.container);
+        this.layers.push(layer);
+
+        return layer;
+    }
+
+    setLayerModel(layer, object, name) {
+        if (layer.object) {
+            this.disposeLayerModel(layer);
+        }
+
+        layer.object = object;
+        layer.name = name;
+        layer.preset = 'custom';
+        layer.isolatedNode = null;
+        layer.morphKeyframes = [];
+        layer.variants = object.materialVariants ? {
+            names: object.materialVariants.names,
+            parser: object.materialVariants.parser,
+            active: null, // null = the materials the file assigns by default
+            defaults: new Map(), // mesh -> material it was loaded with
+            materials: new Set(), // every variant material fetched, for disposal
+            request: 0
+        } : null;
+        delete object.materialVariants;
+        layer.base.add(object);
+        this.applyImportCorrection(layer, this.detectImportCorrection(object, name));
+
+        // Nodes the file already marks as hidden start unchecked
+        layer.hiddenNodes = new Set();
+        object.traverse((child) => {
+            if (!child.visible) layer.hiddenNodes.add(child.uuid);
+        });
+
+        this.setupLayerAnimation(layer);
+    }
+
+    disposeLayerModel(layer) {
+        // Forget stored preset originals for this layer's materials before disposing them
+        layer.object.traverse((child) => {
+            if (child.isMesh && child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach((mat, idx) => this.originalMaterials.delete(`${child.uuid}_${idx}`));
+            }
+        });
+
+        this.disposeLayerLODs(layer);
+
+        if (this.selectedMaterial && layer.object.getObjectById(this.selectedMaterial.mesh.id)) {
+            this.selectMaterial(null);
+        }
+
+        // The viewport can't keep looking through a camera that is about to be disposed
+        if (this.isFileCameraIn(layer.object)) {
+            this.useOrbitCamera();
+        }
+
+        // Variant materials that are not currently assigned are not reached by disposeObject
+        if (layer.variants) {
+            layer.variants.materials.forEach(mat => mat.dispose());
+            layer.variants.defaults.forEach(mat => mat.dispose());
+            layer.variants = null;
+        }
+
+        if (layer.mixer) {
+            layer.mixer.stopAllAction();
+            layer.mixer.uncacheRoot(layer.object);
+            layer.mixer = null;
+            layer.action = null;
+        }
+
+        // disposeObject only reaches materials, not the textures swapped in by the material editor
+        layer.textures.forEach(texture => texture.dispose());
+        layer.textures.clear();
+
+        layer.base.remove(layer.object);
+        this.disposeObject(layer.object);
+        layer.object = null;
+    }
+
+    removeLayer(layer) {
+        if (!this.layers.includes(layer)) return;
+
+        if (layer.object) {
+            this.disposeLayerModel(layer);
+        }
+        this.layerGroup.remove(layer.container);
+        this.layers = this.layers.filter(l => l !== layer);
+
+        if (this.activeLayer === layer) {
+            this.selectLayer(this.layers[this.layers.length - 1] || null);
+        }
+
+        this.fitLayers(); // The removed layer may have set the shared scale
+        this.fitLayerGroup();
+        this.resetPathTracerScene();
+
+        if (this.layers.length === 0) {
+            window.dispatchEvent(new Event('modelCleared'));
+        }
+        this.notifyLayersChanged();
+    }
+
+    selectLayer(layer) {
+        // currentModel always refers to the active layer's model
+        this.clearNodeHighlight();
+        this.activeLayer = layer;
+        this.currentModel = layer ? layer.object : null;
+        this.currentModelName = layer ? layer.name : null;
+        this.currentShaderPreset = layer ? layer.preset : 'custom';
+        this.notifyLayersChanged();
+    }
+
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+
+    setLayerVisible(layer, visible) {
+        layer.visible = visible;
+        layer.container.visible = visible;
+
+        // Hidden layers don't count towards the group framing
+        this.fitLayerGroup();
+        this.resetPathTracerScene();
+        this.notifyLayersChanged();
+    }
+
+    updateLayerTransform(layer, scale, position, rotation) {
+        layer.transform = {
+            scale,
+            position: { ...position },
+            rotation: { ...rotation }
+        };
+
+        layer.container.scale.setScalar(scale);
+        layer.container.position.set(position.x, position.y, position.z);
+        layer.container.rotation.set(
+            rotation.x * Math.PI / 180,
+            rotation.y * Math.PI / 180,
+            rotation.z * Math.PI / 180
+        );
+
+        this.fitLayerGroup();
+        this.onTransformChanged();
+    }
+
+    fitLayers() {
+        // Per-item auto-centre / auto-scale relative to each layer's own origin. With sharedLayerScale
+        // every layer takes the largest one's factor instead; boxes are measured after the import
+        // correction, so units then keep real-world relative sizes
+        const boxes = new Map();
+        this.layers.filter(layer => layer.object).forEach(layer => {
+            layer.fit.position.set(0, 0, 0);
+            layer.fit.scale.setScalar(1);
+            boxes.set(layer, this.computeBoundingBox(layer.object, layer.fit)); // Includes layer.base (up-axis, units)
+        });
+
+        const getMaxDim = (box) => {
+            if (box.isEmpty()) return 0;
+            const size = box.getSize(new THREE.Vector3());
+            return Math.max(size.x, size.y, size.z);
+        };
+        const sharedMaxDim = Math.max(0, ...[...boxes.values()].map(getMaxDim));
+
+        boxes.forEach((box, layer) => {
+            // Empty or single-point models have no extent to scale against
+            const maxDim = this.sharedLayerScale ? sharedMaxDim : getMaxDim(box);
+            const scale = ViewerConfig.model.autoScale && maxDim > 0 ? ViewerConfig.model.targetSize / maxDim : 1;
+            layer.fit.scale.setScalar(scale);
+            if (box.isEmpty()) {
+                layer.fit.position.set(0, 0, 0);
+            } else {
+                layer.fit.position.copy(this.getPlacementOffset(box, scale));
+            }
+        });
+    }
+
+    fitLayerGroup() {
+        // Frame the composition of all visible layers as one object
+        this.layerGroup.position.set(0, 0, 0);
+        this.layerGroup.scale.setScalar(1);
+
+        if (!this.autoFitGroup) {
+            this.updateShadowFocus();
+            return;
+        }
+
+        const box = new THREE.Box3();
+        this.layers
+            .filter(layer => layer.visible && layer.object)
+            .forEach(layer => box.union(this.computeBoundingBox(layer.container, this.layerGroup)));
+
+        if (box.isEmpty()) {
+            this.updateShadowFocus();
+            return;
+        }
+
+        const size = box.getSize(new THREE.Vector3());
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const scale = ViewerConfig.model.autoScale && maxDim > 0 ? ViewerConfig.model.targetSize / maxDim : 1;
+        this.layerGroup.scale.setScalar(scale);
+        this.layerGroup.position.copy(this.getPlacementOffset(box, scale));
+
+        this.updateShadowFocus();
+    }
+
+    getPlacementOffset(box, scale) {
+        // 'center': bounding box centre on the origin, 'ground': centred in XZ with min Y = 0,
+        // 'origin': keep the file's own origin
+        const offset = new THREE.Vector3();
+        if (this.placement === 'origin') return offset;
+
+        box.getCenter(offset);
+        if (this.placement === 'ground') {
+            offset.y = box.min.y;
+        }
+        return offset.multiplyScalar(-scale);
+    }
+
+    setPlacement(placement) {
+        this.placement = placement;
+        this.fitLayers();
+        this.fitLayerGroup();
+        this.onTransformChanged();
+        this.resetPathTracerScene();
+
+        console.log(`📐 Placement mode: ${placement}`);
+    }
+
+    updateShadowFocus() {
+        // Bounds of the visible composition, for aiming the sun shadow camera
+        const box = new THREE.Box3();
+        this.layers
+            .filter(layer => layer.visible && layer.object)
+            .forEach(layer => box.union(this.computeBoundingBox(layer.container, this.modelContainer)));
+
+        if (box.isEmpty()) {
+            this.shadowFocus.set(new THREE.Vector3(), ViewerConfig.model.targetSize);
+        } else {
+            box.getBoundingSphere(this.shadowFocus);
+        }
+        this.updateSunShadowFrustum();
+    }
+
+    setAutoFitGroup(enabled) {
+        this.autoFitGroup = enabled;
+        this.fitLayerGroup();
+        this.onTransformChanged();
+    }
+
+    setSharedLayerScale(enabled) {
+        this.sharedLayerScale = enabled;
+        this.fitLayers();
+        this.fitLayerGroup();
+        this.onTransformChanged();
+        this.resetPathTracerScene();
+    }
+
+    resetPathTracerScene() {
+        // Adding, removing or hiding objects requires the path tracer to rebuild its BVH
+        if (this.pathTracingEnabled && this.pathTracer && this.pathTracerSceneReady) {
+            this.setLODActive(false); // The BVH is always built from full-detail geometry
+            this.scene.updateMatrixWorld(true);
+            this.pathTracer.setScene(this.scene, this.camera);
+        }
+    }
+
+    notifyLayersChanged() {
+        window.dispatchEvent(new CustomEvent('layersChanged', {
+            detail: {
+                activeId: this.activeLayer ? this.activeLayer.id : null,
+                layers: this.layers.map(layer => ({
+                    id: layer.id,
+                    name: layer.name,
+                    visible: layer.visible,
+                    preset: layer.preset,
+                    correction: layer.correction,
+                    transform: layer.transform
+                }))
+            }
+        }));
+    }
+
+    // ========== IMPORT CORRECTION ==========
+
+    detectImportCorrection(object, filename) {
+        // A choice remembered for this file name wins over anything read from the file
+        const remembered = this.getRememberedCorrections()[filename];
+        if (remembered) return remembered;
+
+        const extension = filename.split('.').pop().toLowerCase();
+        const correction = { upAxis: 'y', units: 'm', ...ViewerConfig.importCorrection.formatDefaults[extension] };
+
+        // FBX reports centimetres per file unit (3ds Max: 1, Blender: 100)
+        if (object.userData.unitScaleFactor) {
+            const metres = object.userData.unitScaleFactor / 100;
+            const match = Object.entries(ViewerConfig.importCorrection.units)
+                .find(([, factor]) => Math.abs(factor - metres) / factor < 0.01);
+            if (match) correction.units = match[0];
+        }
+
+        return correction;
+    }
+
+    applyImportCorrection(layer, correction) {
+        // Rotate the source up-axis onto +Y and scale to metres, beneath the user transform
+        layer.correction = { upAxis: correction.upAxis, units: correction.units };
+
+        layer.base.rotation.set(0, 0, 0);
+        if (correction.upAxis === 'z') {
+            layer.base.rotation.x = -Math.PI / 2;
+        } else if (correction.upAxis === 'x') {
+            layer.base.rotation.z = Math.PI / 2;
+        }
+        layer.base.scale.setScalar(ViewerConfig.importCorrection.units[correction.units] || 1);
+    }
+
+    setLayerCorrection(layer, correction) {
+        if (!layer || !layer.object) return;
+
+        this.applyImportCorrection(layer, correction);
+        this.rememberCorrection(layer.name, layer.correction);
+
+        this.fitLayers();
+        this.fitLayerGroup();
+        this.onTransformChanged();
+        this.resetPathTracerScene(); // Bounds changed
+        this.notifyLayersChanged();
+
+        console.log(`🧭 ${layer.name}: ${layer.correction.upAxis.toUpperCase()}-up, ${layer.correction.units}`);
+    }
+
+    getRememberedCorrections() {
+        try {
+            return JSON.parse(localStorage.getItem(ViewerConfig.importCorrection.storageKey)) || {};
+        } catch (error) {
+            return {}; // Storage disabled or corrupt
+        }
+    }
+
+    rememberCorrection(filename, correction) {
+        const corrections = this.getRememberedCorrections();
+        corrections[filename] = correction;
+        try {
+            localStorage.setItem(ViewerConfig.importCorrection.storageKey, JSON.stringify(corrections));
+        } catch (error) {
+            console.warn('⚠️ Could not remember import correction:', error);
+        }
+    }
+
+    // ========== INSPECTOR ==========
+
+    getSceneStats(object) {
+        // Totals for the inspector header; shared geometries/materials/textures are counted once
+        const stats = { meshes: 0, vertices: 0, triangles: 0, materials: 0, textures: 0, gpuMemory: 0 };
+        if (!object) return stats;
+
+        const geometries = new Set();
+        const materials = new Set();
+        const textures = new Set();
+
+        object.traverse((child) => {
+            if (!child.geometry || !(child.isMesh || child.isPoints || child.isLine)) return;
+
+            const counts = this.getGeometryCounts(child);
+            stats.meshes++;
+            stats.vertices += counts.vertices;
+            stats.triangles += counts.triangles;
+            geometries.add(child.geometry);
+
+            this.getMaterialList(child).forEach(mat => {
+                materials.add(mat);
+                this.getMaterialTextures(mat).forEach(({ texture }) => textures.add(texture));
+            });
+        });
+
+        stats.materials = materials.size;
+        stats.textures = textures.size;
+        geometries.forEach(geometry => { stats.gpuMemory += this.estimateGeometryMemory(geometry); });
+        textures.forEach(texture => { stats.gpuMemory += this.estimateTextureMemory(texture); });
+
+        return stats;
+    }
+
+    buildNodeTree(object) {
+        // Recursive node summary; counts include the whole subtree
+        const node = {
+            uuid: object.uuid,
+            name: object.name || object.type,
+            type: object.type,
+            meshes: 0,
+            vertices: 0,
+            triangles: 0,
+            materials: [],
+            children: []
+        };
+
+        if (object.geometry && (object.isMesh || object.isPoints || object.isLine)) {
+            const counts = this.getGeometryCounts(object);
+            node.meshes = 1;
+            node.vertices = counts.vertices;
+            node.triangles = counts.triangles;
+            node.materials = this.getMaterialList(object).map(mat => ({
+                name: mat.name || '(unnamed)',
+                type: mat.type,
+                textures: this.getMaterialTextures(mat).map(({ slot, texture }) => ({
+                    slot,
+                    width: texture.image ? texture.image.width : 0,
+                    height: texture.image ? texture.image.height : 0
+                }))
+            }));
+        }
+
+        object.children.forEach(child => {
+            const childNode = this.buildNodeTree(child);
+            node.meshes += childNode.meshes;
+            node.vertices += childNode.vertices;
+            node.triangles += childNode.triangles;
+            node.children.push(childNode);
+        });
+
+        return node;
+    }
+
+    getGeometryCounts(object) {
+        const geometry = object.geometry;
+        const position = geometry.attributes.position;
+        const instances = object.isInstancedMesh ? object.count : 1;
+        const vertices = position ? position.count : 0;
+
+        let triangles = 0;
+        if (object.isMesh) {
+            const indexCount = geometry.index ? geometry.index.count : vertices;
+            triangles = Math.floor(indexCount / 3);
+        }
+
+        return { vertices: vertices * instances, triangles: triangles * instances };
+    }
+
+    getMaterialList(object) {
+        if (!object.material) return [];
+        return Array.isArray(object.material) ? object.material : [object.material];
+    }
+
+    getMaterialTextures(material) {
+        // Every texture slot (map, normalMap, roughnessMap, ...) in use on the material
+        return Object.keys(material)
+            .filter(key => material[key] && material[key].isTexture)
+            .map(key => ({ slot: key, texture: material[key] }));
+    }
+
+    estimateGeometryMemory(geometry) {
+        // Interleaved attributes share one buffer, so count each array once
+        const arrays = new Set();
+        Object.values(geometry.attributes).forEach(attribute => {
+            arrays.add(attribute.isInterleavedBufferAttribute ? attribute.data.array : attribute.array);
+        });
+        if (geometry.index) arrays.add(geometry.index.array);
+
+        let bytes = 0;
+        arrays.forEach(array => { bytes += array.byteLength; });
+        return bytes;
+    }
+
+    estimateTextureMemory(texture) {
+        const image = texture.image;
+        if (!image) return 0;
+
+        // Compressed (KTX2/Basis) textures stay compressed on the GPU
+        if (texture.isCompressedTexture && texture.mipmaps && texture.mipmaps.length > 0) {
+            return texture.mipmaps.reduce((sum, mip) => sum + (mip.data ? mip.data.byteLength : 0), 0);
+        }
+
+        // Data textures (HDR, EXR) know their exact size; images upload as RGBA8
+        const base = image.data ? image.data.byteLength : (image.width || 0) * (image.height || 0) * 4;
+        return texture.generateMipmaps ? Math.round(base * 4 / 3) : base;
+    }
+
+    setNodeVisible(uuid, visible) {
+        const layer = this.activeLayer;
+        if (!layer) return;
+
+        if (visible) {
+            layer.hiddenNodes.delete(uuid);
+        } else {
+            layer.hiddenNodes.add(uuid);
+        }
+        this.applyNodeVisibility(layer);
+    }
+
+    isolateNode(uuid) {
+        // Pass null (or the isolated uuid again) to leave isolate mode
+        const layer = this.activeLayer;
+        if (!layer) return;
+
+        layer.isolatedNode = uuid && uuid !== layer.isolatedNode ? uuid : null;
+        this.applyNodeVisibility(layer);
+    }
+
+    showAllNodes() {
+        const layer = this.activeLayer;
+        if (!layer) return;
+
+        layer.hiddenNodes.clear();
+        layer.isolatedNode = null;
+        this.applyNodeVisibility(layer);
+    }
+
+    isNodeHidden(uuid) {
+        return this.activeLayer ? this.activeLayer.hiddenNodes.has(uuid) : false;
+    }
+
+    applyNodeVisibility(layer) {
+        // Visibility lives on Object3D.visible, so renders, exports and shader presets all respect it
+        const isolated = layer.isolatedNode ? layer.object.getObjectByProperty('uuid', layer.isolatedNode) : null;
+        const branch = new Set();
+        const ancestors = new Set();
+
+        if (isolated) {
+            isolated.traverse(child => branch.add(child));
+            isolated.traverseAncestors(ancestor => ancestors.add(ancestor));
+        }
+
+        layer.object.traverse((child) => {
+            let visible = !layer.hiddenNodes.has(child.uuid);
+
+            if (isolated && !branch.has(child)) {
+                // Outside the isolated branch: keep the path to it, hide any other geometry
+                visible = ancestors.has(child) || (visible && !(child.isMesh || child.isPoints || child.isLine));
+            }
+
+            child.visible = visible;
+        });
+
+        this.resetPathTracerScene();
+
+        window.dispatchEvent(new CustomEvent('nodeVisibilityChanged', {
+            detail: { hidden: Array.from(layer.hiddenNodes), isolated: layer.isolatedNode }
+        }));
+    }
+
+    highlightNode(uuid) {
+        // Outline the picked node with a box that follows it every frame
+        this.clearNodeHighlight();
+        if (!this.currentModel) return;
+
+        const object = this.currentModel.getObjectByProperty('uuid', uuid);
+        if (!object) return;
+
+        this.selectionHelper = new THREE.BoxHelper(object, 0xffaa00);
+        this.scene.add(this.selectionHelper);
+    }
+
+    clearNodeHighlight() {
+        if (!this.selectionHelper) return;
+
+        this.scene.remove(this.selectionHelper);
+        this.selectionHelper.geometry.dispose();
+        this.selectionHelper.material.dispose();
+        this.selectionHelper = null;
+    }
+
+    // ========== MATERIAL EDITOR ==========
+
+    setupMaterialPicking() {
+        // A click on the canvas (not the end of an orbit drag) picks the surface under the cursor
+        let pointerDown = null;
+        this.canvas.addEventListener('pointerdown', (e) => {
+            pointerDown = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+        });
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (!pointerDown) return;
+
+            const moved = Math.hypot(e.clientX - pointerDown.x, e.clientY - pointerDown.y);
+            pointerDown = null;
+            if (moved < 4) {
+                this.pickMaterial(e.clientX, e.clientY);
+            }
+        });
+    }
+
+    pickMaterial(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+
+        // Raycaster ignores Object3D.visible, so skip hidden layers and parts here
+        const hit = raycaster.intersectObject(this.layerGroup, true).find(intersection => {
+            if (!intersection.object.isMesh) return false;
+            for (let node = intersection.object; node; node = node.parent) {
+                if (!node.visible) return false;
+            }
+            return true;
+        });
+
+        if (!hit) {
+            this.selectMaterial(null);
+            return;
+        }
+
+        const index = Array.isArray(hit.object.material) && hit.face ? hit.face.materialIndex : 0;
+        this.selectMaterial(hit.object, index);
+    }
+
+    selectMaterial(mesh, index = 0) {
+        // Pass null to clear the selection
+        if (mesh) {
+            const layer = this.layers.find(l => l.object && l.object.getObjectById(mesh.id));
+            if (layer && layer !== this.activeLayer) {
+                this.selectLayer(layer);
+                this.notifyLayersChanged();
+            }
+
+            const material = this.getMaterialList(mesh)[index];
+            this.selectedMaterial = { mesh, index, material };
+            this.highlightNode(mesh.uuid);
+            console.log(`🎯 Picked ${material.name || material.type} on ${mesh.name || 'mesh'}`);
+        } else if (this.selectedMaterial) {
+            this.selectedMaterial = null;
+            this.clearNodeHighlight();
+        } else {
+            return;
+        }
+
+        this.notifyMaterialSelected();
+    }
+
+    notifyMaterialSelected() {
+        window.dispatchEvent(new CustomEvent('materialSelected', {
+            detail: this.getSelectedMaterialState()
+        }));
+    }
+
+    getSelectedMaterialState() {
+        if (!this.selectedMaterial) return null;
+
+        const { mesh, material: mat } = this.selectedMaterial;
+        return {
+            name: mat.name || mat.type,
+            meshName: mesh.name || 'Mesh',
+            type: mat.type,
+            values: {
+                color: mat.color ? `#${mat.color.getHexString()}` : '#ffffff',
+                emissive: mat.emissive ? `#${mat.emissive.getHexString()}` : '#000000',
+                emissiveIntensity: mat.emissiveIntensity !== undefined ? mat.emissiveIntensity : 1,
+                roughness: mat.roughness !== undefined ? mat.roughness : 1,
+                metalness: mat.metalness !== undefined ? mat.metalness : 0,
+                clearcoat: mat.clearcoat || 0,
+                sheen: mat.sheen || 0,
+                transmission: mat.transmission || 0,
+                ior: mat.ior !== undefined ? mat.ior : 1.5,
+                opacity: mat.opacity
+            },
+            // Properties the material type actually has (Phong/Lambert lack the PBR ones)
+            supported: {
+                color: !!mat.color,
+                emissive: !!mat.emissive,
+                emissiveIntensity: !!mat.emissive,
+                roughness: !!mat.isMeshStandardMaterial,
+                metalness: !!mat.isMeshStandardMaterial,
+                clearcoat: !!mat.isMeshPhysicalMaterial,
+                sheen: !!mat.isMeshPhysicalMaterial,
+                transmission: !!mat.isMeshPhysicalMaterial,
+                ior: !!mat.isMeshPhysicalMaterial,
+                opacity: true
+            },
+            // Per slot: null when empty or unsupported, else the texture name and UV transform
+            // (including a base colour map a colour preset is hiding, which upload and remove act on)
+            textures: Object.fromEntries(Object.keys(ViewerConfig.materialTextures.slots).map(slot => {
+                const texture = this.getSlotTexture(mat, slot);
+                return [slot, texture ? {
+                    name: texture.name || 'Embedded texture',
+                    offset: { x: texture.offset.x, y: texture.offset.y },
+                    repeat: { x: texture.repeat.x, y: texture.repeat.y },
+                    rotation: THREE.MathUtils.radToDeg(texture.rotation)
+                } : null];
+            })),
+            textureSlots: Object.keys(ViewerConfig.materialTextures.slots).filter(slot => slot in mat)
+        };
+    }
+
+    updateSelectedMaterial(property, value) {
+        if (!this.selectedMaterial) return;
+
+        const mat = this.selectedMaterial.material;
+
+        // Record the original first, for every mesh slot sharing this material, so the
+        // "Custom (Original)" preset can undo editor changes
+        this.forEachMaterialSlot(mat, matKey => this.recordOriginalMaterial(matKey, mat));
+
+        if (property === 'color' || property === 'emissive') {
+            if (mat[property]) mat[property].setStyle(value);
+        } else {
+            mat[property] = value;
+        }
+
+        // Sheen is tinted by sheenColor, which defaults to black
+        if (property === 'sheen' && value > 0 && mat.sheenColor && mat.sheenColor.getHex() === 0) {
+            mat.sheenColor.set(0xffffff);
+        }
+        if (property === 'opacity') {
+            mat.transparent = value < 1 || this.originalMaterials.get(`${this.selectedMaterial.mesh.uuid}_${this.selectedMaterial.index}`).transparent;
+        }
+
+        mat.needsUpdate = true; // Clearcoat/sheen/transmission toggle shader features
+        this.onTransformChanged(); // Path tracer picks the material up once edits settle
+    }
+
+    forEachMaterialSlot(mat, callback) {
+        // Calls back with the originalMaterials key of every mesh slot using this material
+        this.layers.forEach(layer => {
+            if (!layer.object) return;
+            layer.object.traverse((child) => {
+                if (!child.isMesh) return;
+                this.getMaterialList(child).forEach((m, idx) => {
+                    if (m === mat) callback(`${child.uuid}_${idx}`);
+                });
+            });
+        });
+    }
+
+    async setSelectedMaterialTexture(slot, file) {
+        // Upload an image into one of the picked material's map slots
+        if (!this.selectedMaterial) return;
+
+        const { mesh, material: mat } = this.selectedMaterial;
+        const slotConfig = ViewerConfig.materialTextures.slots[slot];
+        const layer = this.layers.find(l => l.object && l.object.getObjectById(mesh.id));
+        if (!slotConfig || !layer || !(slot in mat)) return;
+
+        if (file.size > ViewerConfig.limits.texture) {
+            this.showReport(`Texture: ${file.name}`, [{
+                level: 'error',
+                message: `${file.name} is ${this.formatMegabytes(file.size)}, above the ${this.formatMegabytes(ViewerConfig.limits.texture)} texture limit`
+            }]);
+            return;
+        }
+
+        const url = URL.createObjectURL(file);
+        let texture;
+        try {
+            texture = await new THREE.TextureLoader().loadAsync(url);
+        } catch (error) {
+            console.error('❌ Failed to load texture:', error);
+            this.showLoadNotice(file.name, 'Could not read this image', 'error');
+            return;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        // The model may have been replaced while the image decoded
+        if (!layer.object || !layer.object.getObjectById(mesh.id)) {
+            texture.dispose();
+            return;
+        }
+
+        const maxTextureSize = this.renderer.capabilities.maxTextureSize;
+        if (texture.image.width > maxTextureSize || texture.image.height > maxTextureSize) {
+            this.showReport(`Texture: ${file.name}`, [{
+                level: 'warning',
+                message: `Image is ${texture.image.width}×${texture.image.height}, larger than this GPU's ${maxTextureSize}px limit; it will be downscaled`
+            }]);
+        }
+
+        texture.name = file.name;
+        texture.colorSpace = slotConfig.color ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.anisotropy = this.renderer.capabilities.getMaxAnisotropy();
+
+        // Match the orientation and UV placement of what is already there, so artwork drops into
+        // the same spot; glTF expects unflipped images, the other formats flipped ones
+        const current = this.getSlotTexture(mat, slot);
+        const existing = current || (this.getMaterialTextures(mat)[0] || {}).texture;
+        texture.flipY = existing ? existing.flipY : layer.format !== 'GLTF';
+        if (current) {
+            texture.offset.copy(current.offset);
+            texture.repeat.copy(current.repeat);
+            texture.center.copy(current.center);
+            texture.rotation = current.rotation;
+            texture.channel = current.channel;
+        } else {
+            texture.center.set(0.5, 0.5); // Rotate about the middle of the image
+        }
+
+        this.assignMaterialTexture(layer, mat, slot, texture);
+        console.log(`🖼️ ${file.name} → ${slotConfig.label} map of ${mat.name || mat.type}`);
+    }
+
+    removeSelectedMaterialTexture(slot) {
+        if (!this.selectedMaterial || !this.getSlotTexture(this.selectedMaterial.material, slot)) return;
+
+        const { mesh, material: mat } = this.selectedMaterial;
+        const layer = this.layers.find(l => l.object && l.object.getObjectById(mesh.id));
+        if (layer) this.assignMaterialTexture(layer, mat, slot, null);
+    }
+
+    assignMaterialTexture(layer, mat, slot, texture) {
+        this.forEachMaterialSlot(mat, matKey => this.recordOriginalMaterial(matKey, mat));
+        const previous = this.getSlotTexture(mat, slot);
+
+        // Factors multiply the map, so an empty slot's stand-in value would tint or dim the new image
+        const changes = {};
+        if (texture && !previous) {
+            if (slot === 'map') changes.color = new THREE.Color(0xffffff);
+            if (slot === 'roughnessMap') changes.roughness = 1;
+            if (slot === 'metalnessMap') changes.metalness = 1;
+        }
+        if (texture && slot === 'emissiveMap' && mat.emissive && mat.emissive.getHex() === 0) {
+            changes.emissive = new THREE.Color(0xffffff);
+        }
+        if (texture && slot === 'alphaMap') changes.transparent = true;
+        if (slot === 'map') changes.map = texture;
+
+        Object.entries(changes).forEach(([property, value]) => {
+            if (value && value.isColor) mat[property].copy(value);
+            else if (property !== 'map') mat[property] = value;
+        });
+        mat[slot] = texture;
+        mat.needsUpdate = true; // Map defines change the shader
+
+        // The upload is a new baseline: presets and "Custom (Original)" keep it instead of the file's values
+        this.forEachMaterialSlot(mat, matKey => {
+            const original = this.originalMaterials.get(matKey);
+            Object.entries(changes).forEach(([property, value]) => {
+                original[property] = value && value.isColor ? value.clone() : value;
+            });
+        });
+
+        // Free the old texture now unless another material still shows it; otherwise it goes with the model
+        if (previous) {
+            if (this.isTextureInUse(layer, previous)) {
+                layer.textures.add(previous);
+            } else {
+                layer.textures.delete(previous);
+                previous.dispose();
+            }
+        }
+        if (texture) layer.textures.add(texture);
+
+        this.resetPathTracerScene();
+        this.notifyMaterialSelected();
+        this.notifyLayersChanged(); // Inspector texture counts
+    }
+
+    getSlotTexture(mat, slot) {
+        // Colour presets (Clay, Neon, ...) clear map; the file's image then only lives in the original record
+        if (mat[slot] || slot !== 'map') return mat[slot] || null;
+        const original = this.materialOriginals.get(mat);
+        return original && original.map ? original.map : null;
+    }
+
+    isTextureInUse(layer, texture) {
+        let used = false;
+        layer.object.traverse((child) => {
+            if (used || !child.isMesh || !child.material) return;
+            used = this.getMaterialList(child).some(mat => this.getSlotTexture(mat, 'map') === texture ||
+                this.getMaterialTextures(mat).some(entry => entry.texture === texture));
+        });
+        return used;
+    }
+
+    updateSelectedTexture(slot, property, value) {
+        // UV transform of the texture in a slot (shared textures move everywhere they are used)
+        const texture = this.selectedMaterial ? this.getSlotTexture(this.selectedMaterial.material, slot) : null;
+        if (!texture) return;
+
+        if (property === 'offsetX') texture.offset.x = value;
+        if (property === 'offsetY') texture.offset.y = value;
+        if (property === 'repeatX') texture.repeat.x = value;
+        if (property === 'repeatY') texture.repeat.y = value;
+        if (property === 'rotation') texture.rotation = THREE.MathUtils.degToRad(value);
+
+        // Repeats beyond the image need wrapping; file textures may be clamped
+        if (property.startsWith('repeat') && texture.wrapS !== THREE.RepeatWrapping) {
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.needsUpdate = true;
+        }
+
+        this.onTransformChanged(); // Path tracer picks the new UVs up once edits settle
+    }
+
+    // ========== LEGACY MATERIAL UPGRADE ==========
+
+    convertLegacyMaterials(object) {
+        // Swap Phong/Lambert for MeshPhysicalMaterial so presets and HDRI reflections work; returns report items
+        const converted = new Map(); // old material -> new, so shared materials stay shared
+
+        object.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+
+            const materials = this.getMaterialList(child).map(mat => {
+                if (!mat.isMeshPhongMaterial && !mat.isMeshLambertMaterial) return mat;
+                if (!converted.has(mat)) converted.set(mat, this.convertLegacyMaterial(mat));
+                return converted.get(mat);
+            });
+            child.material = Array.isArray(child.material) ? materials : materials[0];
+        });
+
+        const items = [];
+        converted.forEach((physical, legacy) => {
+            const detail = legacy.isMeshPhongMaterial ? `shininess ${Math.round(legacy.shininess)} → roughness ${physical.roughness.toFixed(2)}` : 'roughness 1.00';
+            items.push({ level: 'info', message: `${legacy.name || 'Unnamed material'}: ${legacy.type} → MeshPhysicalMaterial (${detail})` });
+            if (legacy.specularMap) {
+                items.push({ level: 'warning', message: `${legacy.name || 'Unnamed material'}: specular map dropped (no physical equivalent)` });
+            }
+            legacy.dispose(); // Textures carry over, so only the material itself goes
+        });
+
+        if (converted.size > 0) {
+            console.log(`🔁 Converted ${converted.size} Phong/Lambert material(s) to MeshPhysicalMaterial`);
+        }
+        return items;
+    }
+
+    upgradeStandardMaterials(layer) {
+        // glTF without physical extensions loads MeshStandardMaterial; swap in physical copies in place
+        // (shared materials stay shared) so presets can use the physical-only properties
+        const upgraded = new Map(); // standard material -> physical
+
+        layer.object.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+
+            const materials = this.getMaterialList(child).map((mat, idx) => {
+                if (!mat.isMeshStandardMaterial || mat.isMeshPhysicalMaterial) return mat;
+                if (!upgraded.has(mat)) upgraded.set(mat, this.convertStandardMaterial(mat));
+                const physical = upgraded.get(mat);
+
+                // Originals recorded from the standard material lack the physical properties; its look
+                // equals the physical defaults, so those are what "custom" restores
+                const original = this.originalMaterials.get(`${child.uuid}_${idx}`);
+                if (original) {
+                    this.materialOriginals.set(physical, original);
+                    Object.entries(ViewerConfig.shaderPresetSchema).forEach(([property, schema]) => {
+                        if (original[property] !== undefined || physical[property] === undefined) return;
+                        original[property] = schema.type === 'color' ? physical[property].clone() : physical[property];
+                    });
+                }
+                return physical;
+            });
+            child.material = Array.isArray(child.material) ? materials : materials[0];
+        });
+
+        if (upgraded.size === 0) return;
+
+        upgraded.forEach((physical, standard) => {
+            // Variant switching and the material editor hold on to materials too
+            if (layer.variants) {
+                layer.variants.defaults.forEach((mat, mesh) => {
+                    if (mat === standard) layer.variants.defaults.set(mesh, physical);
+                });
+                if (layer.variants.materials.delete(standard)) layer.variants.materials.add(physical);
+            }
+            if (this.selectedMaterial && this.selectedMaterial.material === standard) {
+                this.selectedMaterial.material = physical;
+            }
+            standard.dispose(); // Textures carry over, so only the material itself goes
+        });
+
+        this.resetPathTracerScene();
+        console.log(`🔁 Upgraded ${upgraded.size} standard material(s) to MeshPhysicalMaterial for the preset`);
+    }
+
+    convertStandardMaterial(standard) {
+        // MeshPhysicalMaterial.copy() expects physical fields on the source, so copy the standard part only
+        const physical = new THREE.MeshPhysicalMaterial();
+        THREE.MeshStandardMaterial.prototype.copy.call(physical, standard);
+        physical.defines = { STANDARD: '', PHYSICAL: '' };
+        return physical;
+    }
+
+    convertLegacyMaterial(legacy) {
+        const physical = new THREE.MeshPhysicalMaterial({
+            name: legacy.name,
+            color: legacy.color,
+            emissive: legacy.emissive,
+            emissiveIntensity: legacy.emissiveIntensity,
+            metalness: 0,
+            roughness: 1
+        });
+
+        // Maps and settings both material types share
+        ['map', 'lightMap', 'aoMap', 'emissiveMap', 'bumpMap', 'normalMap', 'displacementMap', 'alphaMap', 'envMap'].forEach(slot => {
+            if (legacy[slot]) physical[slot] = legacy[slot];
+        });
+        ['lightMapIntensity', 'aoMapIntensity', 'bumpScale', 'normalMapType', 'displacementScale', 'displacementBias',
+            'flatShading', 'wireframe', 'vertexColors', 'side', 'opacity', 'transparent', 'alphaTest', 'depthWrite',
+            'depthTest', 'blending', 'visible', 'fog'].forEach(property => {
+            if (legacy[property] !== undefined) physical[property] = legacy[property];
+        });
+        if (legacy.normalScale) physical.normalScale.copy(legacy.normalScale);
+        physical.userData = { ...legacy.userData };
+
+        if (legacy.isMeshPhongMaterial) {
+            // Blinn-Phong exponent n matches a GGX alpha of sqrt(2 / (n + 2)); roughness is sqrt(alpha)
+            physical.roughness = Math.pow(2 / (Math.max(legacy.shininess, 0) + 2), 0.25);
+
+            // Specular colour keeps its tint; black specular means no highlights at all
+            const specular = legacy.specular;
+            const strength = Math.max(specular.r, specular.g, specular.b);
+            physical.specularIntensity = strength > 0 ? 1 : 0;
+            if (strength > 0) physical.specularColor.copy(specular).multiplyScalar(1 / strength);
+        }
+
+        return physical;
+    }
+
+    // ========== VALIDATION ==========
+
+    validateModel(object) {
+        // Problems that make a model render wrong or slowly; each item is { level, message }
+        const items = [];
+        const maxTextureSize = this.renderer.capabilities.maxTextureSize;
+        const textures = new Map(); // texture -> slot, counted once
+        const nonPBR = new Map(); // material type -> count
+        let missingNormals = 0;
+        let missingUVs = 0;
+        let drawCalls = 0;
+
+        object.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+
+            const materials = this.getMaterialList(child);
+            drawCalls += Array.isArray(child.material) ? Math.max(child.geometry.groups.length, 1) : 1;
+
+            if (!child.geometry.hasAttribute('normal')) missingNormals++;
+
+            const textured = materials.some(mat => this.getMaterialTextures(mat).length > 0);
+            if (textured && !child.geometry.hasAttribute('uv')) missingUVs++;
+
+            materials.forEach(mat => {
+                if (!mat.isMeshStandardMaterial) {
+                    nonPBR.set(mat.type, (nonPBR.get(mat.type) || 0) + 1);
+                }
+                this.getMaterialTextures(mat).forEach(({ slot, texture }) => textures.set(texture, slot));
+            });
+        });
+
+        textures.forEach((slot, texture) => {
+            const image = texture.image;
+            if (image && (image.width > maxTextureSize || image.height > maxTextureSize)) {
+                items.push({
+                    level: 'error',
+                    message: `${texture.name || slot} is ${image.width}×${image.height}, larger than this GPU's ${maxTextureSize}px limit`
+                });
+            }
+        });
+
+        if (missingNormals > 0) {
+            items.push({ level: 'warning', message: `${missingNormals} mesh(es) have no normals and will render faceted` });
+        }
+        if (missingUVs > 0) {
+            items.push({ level: 'warning', message: `${missingUVs} textured mesh(es) have no UVs, so their textures cannot display` });
+        }
+        nonPBR.forEach((count, type) => {
+            items.push({ level: 'warning', message: `${count} ${type} material(s) are not PBR and ignore HDRI reflections and shader presets` });
+        });
+        if (drawCalls > ViewerConfig.limits.drawCalls) {
+            items.push({ level: 'warning', message: `${drawCalls} draw calls (recommended at most ${ViewerConfig.limits.drawCalls}); merge meshes that share a material` });
+        }
+        (object.userData.unsupportedExtensions || []).forEach(name => {
+            items.push({ level: 'warning', message: `glTF extension ${name} is not supported and is ignored` });
+        });
+
+        return items;
+    }
+
+    reportValidation(layer, notes = []) {
+        // Kept on the layer so the inspector can reopen it; load notes (conversions, optimisation) are listed first
+        layer.validation = this.validateModel(layer.object);
+        if (layer.validation.length > 0) {
+            console.warn(`⚠️ ${layer.name}: ${layer.validation.length} validation issue(s)`);
+        }
+        if (notes.length > 0) {
+            this.showReport(`Loaded: ${layer.name}`, [...notes, ...layer.validation]);
+        } else if (layer.validation.length > 0) {
+            this.showReport(`Validation: ${layer.name}`, layer.validation);
+        }
+    }
+
+    showReport(title, items) {
+        // Dismissible list of { level: 'error' | 'warning' | 'info', message } (#reportModal)
+        const modal = document.getElementById('reportModal');
+        const list = document.getElementById('reportModalList');
+        if (!modal || !list) {
+            items.forEach(item => console.warn(`${title}: ${item.message}`));
+            return;
+        }
+
+        document.getElementById('reportModalTitle').textContent = title;
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'report-item info';
+            empty.textContent = 'No issues found';
+            list.appendChild(empty);
+        }
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = `report-item ${item.level}`;
+            row.textContent = item.message;
+            list.appendChild(row);
+        });
+
+        modal.style.display = 'flex';
+    }
+
+    formatMegabytes(bytes) {
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    // ========== OPTIMISATION ==========
+
+    optimizeLayer(layer) {
+        // Merge meshes by material, weld vertices and build interaction LODs; returns report items
+        if (!layer || !layer.object) return [];
+
+        this.disposeLayerLODs(layer);
+        this.clearNodeHighlight();
+        this.selectMaterial(null); // The picked mesh may be merged away
+
+        const before = this.getSceneStats(layer.object);
+        const merged = this.mergeLayerMeshes(layer);
+        this.weldLayerVertices(layer);
+        this.buildLayerLODs(layer);
+        const after = this.getSceneStats(layer.object);
+
+        // Triangles drawn while interacting: LOD copies where built, full geometry elsewhere
+        let lodTriangles = after.triangles;
+        layer.lods.forEach(lod => {
+            const instances = lod.mesh.isInstancedMesh ? lod.mesh.count : 1;
+            lodTriangles -= this.getGeometryCounts(lod.mesh).triangles;
+            lodTriangles += (lod.low.index.count / 3) * instances;
+        });
+
+        this.resetPathTracerScene();
+        this.notifyLayersChanged();
+        console.log(`⚡ Optimised ${layer.name}: ${before.meshes} → ${after.meshes} meshes, ${layer.lods.length} LOD(s)`);
+
+        const items = [
+            { level: 'info', message: `Meshes: ${before.meshes.toLocaleString()} → ${after.meshes.toLocaleString()}` + (merged > 0 ? ` (${merged} merged by material)` : '') },
+            { level: 'info', message: `Vertices: ${before.vertices.toLocaleString()} → ${after.vertices.toLocaleString()} after welding` },
+            { level: 'info', message: `Triangles: ${before.triangles.toLocaleString()} at full detail, ${lodTriangles.toLocaleString()} while interacting` }
+        ];
+        if (layer.mixer || layer.isolatedNode) {
+            items.push({ level: 'warning', message: 'Meshes were not merged because the model is animated or a part is isolated' });
+        }
+        return items;
+    }
+
+    isMergeable(mesh, root) {
+        if (!mesh.isMesh || mesh.isSkinnedMesh || mesh.isInstancedMesh) return false;
+        if (Array.isArray(mesh.material) || mesh.morphTargetInfluences || mesh.children.length > 0) return false;
+
+        // Variant switching swaps materials per mesh
+        if (mesh.userData.gltfExtensions && mesh.userData.gltfExtensions.KHR_materials_variants) return false;
+
+        // Mirrored transforms would flip the winding once baked
+        if (mesh.matrixWorld.determinant() < 0) return false;
+
+        // Hidden parts stay separate so they can be shown again
+        for (let node = mesh; node && node !== root; node = node.parent) {
+            if (!node.visible) return false;
+        }
+        return true;
+    }
+
+    mergeLayerMeshes(layer) {
+        // Animated nodes and isolate mode rely on the original hierarchy
+        if (layer.mixer || layer.isolatedNode) return 0;
+
+        const root = layer.object;
+        root.updateMatrixWorld(true);
+        const toRoot = root.matrixWorld.clone().invert();
+
+        // Meshes are only compatible when they share a material and the same attribute layout
+        const buckets = new Map();
+        root.traverse((child) => {
+            if (!this.isMergeable(child, root)) return;
+
+            const geometry = child.geometry;
+            const layout = Object.keys(geometry.attributes).sort()
+                .map(name => `${name}:${geometry.attributes[name].itemSize}`)
+                .join(',');
+            const key = `${child.material.uuid}|${layout}|${geometry.index ? 'indexed' : 'flat'}`;
+
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(child);
+        });
+
+        let mergedCount = 0;
+        const removedGeometries = new Set();
+        buckets.forEach(meshes => {
+            if (meshes.length < 2) return;
+
+            const geometries = meshes.map(mesh =>
+                mesh.geometry.clone().applyMatrix4(new THREE.Matrix4().multiplyMatrices(toRoot, mesh.matrixWorld)));
+            const geometry = window.BufferGeometryUtils.mergeGeometries(geometries);
+            geometries.forEach(g => g.dispose());
+            if (!geometry) return; // Attribute array types differ
+
+            const merged = new THREE.Mesh(geometry, meshes[0].material);
+            merged.name = `${meshes[0].material.name || 'Material'} (${meshes.length} merged)`;
+            merged.castShadow = meshes[0].castShadow;
+            merged.receiveShadow = meshes[0].receiveShadow;
+            root.add(merged);
+
+            // Carry the shader preset baseline over to the merged mesh
+            const original = this.originalMaterials.get(`${meshes[0].uuid}_0`);
+            if (original) this.originalMaterials.set(`${merged.uuid}_0`, original);
+
+            meshes.forEach(mesh => {
+                this.originalMaterials.delete(`${mesh.uuid}_0`);
+                layer.hiddenNodes.delete(mesh.uuid);
+                removedGeometries.add(mesh.geometry);
+                mesh.removeFromParent();
+            });
+            mergedCount += meshes.length;
+        });
+
+        // Geometries can be shared with meshes that were not merged
+        root.traverse((child) => removedGeometries.delete(child.geometry));
+        removedGeometries.forEach(geometry => geometry.dispose());
+
+        return mergedCount;
+    }
+
+    weldLayerVertices(layer) {
+        // Join vertices whose attributes all match within the tolerance (shared geometries once)
+        const welded = new Map();
+        layer.object.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+
+            if (!welded.has(child.geometry)) {
+                welded.set(child.geometry, window.BufferGeometryUtils.mergeVertices(child.geometry, ViewerConfig.optimization.weldTolerance));
+            }
+            child.geometry = welded.get(child.geometry);
+        });
+        welded.forEach((geometry, original) => original.dispose());
+    }
+
+    buildLayerLODs(layer) {
+        const lows = new Map(); // Shared geometries are simplified once
+        layer.object.traverse((child) => {
+            if (!child.isMesh || child.isSkinnedMesh || child.morphTargetInfluences) return;
+            if (Array.isArray(child.material)) return; // Clustering drops the material groups
+            if (this.getGeometryCounts(child).triangles < ViewerConfig.optimization.lodMinTriangles) return;
+
+            if (!lows.has(child.geometry)) {
+                lows.set(child.geometry, this.simplifyGeometry(child.geometry, ViewerConfig.optimization.lodGridSize));
+            }
+            layer.lods.push({ mesh: child, full: child.geometry, low: lows.get(child.geometry) });
+        });
+    }
+
+    simplifyGeometry(geometry, gridSize) {
+        // Vertex clustering: one vertex per grid cell, triangles that collapse are dropped.
+        // Coarse but linear-time, which matters for multi-million triangle scans
+        const position = geometry.attributes.position;
+        geometry.computeBoundingBox();
+        const box = geometry.boundingBox;
+        const size = box.getSize(new THREE.Vector3());
+        const cellSize = Math.max(size.x, size.y, size.z) / gridSize || 1;
+        const cells = gridSize + 1;
+
+        const cellVertex = new Map();
+        const remap = new Uint32Array(position.count);
+        const kept = [];
+        for (let i = 0; i < position.count; i++) {
+            const x = Math.floor((position.getX(i) - box.min.x) / cellSize);
+            const y = Math.floor((position.getY(i) - box.min.y) / cellSize);
+            const z = Math.floor((position.getZ(i) - box.min.z) / cellSize);
+            const key = (x * cells + y) * cells + z;
+
+            let vertex = cellVertex.get(key);
+            if (vertex === undefined) {
+                vertex = kept.length;
+                cellVertex.set(key, vertex);
+                kept.push(i);
+            }
+            remap[i] = vertex;
+        }
+
+        const index = geometry.index;
+        const sourceCount = index ? index.count : position.count;
+        const indices = [];
+        for (let i = 0; i + 2 < sourceCount; i += 3) {
+            const a = remap[index ? index.getX(i) : i];
+            const b = remap[index ? index.getX(i + 1) : i + 1];
+            const c = remap[index ? index.getX(i + 2) : i + 2];
+            if (a !== b && b !== c && a !== c) indices.push(a, b, c);
+        }
+
+        // Copy raw attribute values of each cell's representative vertex
+        const low = new THREE.BufferGeometry();
+        Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+            const interleaved = attribute.isInterleavedBufferAttribute;
+            const source = interleaved ? attribute.data.array : attribute.array;
+            const stride = interleaved ? attribute.data.stride : attribute.itemSize;
+            const offset = interleaved ? attribute.offset : 0;
+            const array = new source.constructor(kept.length * attribute.itemSize);
+
+            kept.forEach((vertex, i) => {
+                for (let c = 0; c < attribute.itemSize; c++) {
+                    array[i * attribute.itemSize + c] = source[vertex * stride + offset + c];
+                }
+            });
+            low.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized));
+        });
+        low.setIndex(indices);
+
+        return low;
+    }
+
+    setLODActive(active) {
+        if (this.lodActive === active) return;
+
+        this.lodActive = active;
+        this.layers.forEach(layer => {
+            layer.lods.forEach(lod => {
+                lod.mesh.geometry = active ? lod.low : lod.full;
+            });
+        });
+    }
+
+    disposeLayerLODs(layer) {
+        // Put full detail back before the simplified copies go away
+        this.setLODActive(false);
+
+        new Set(layer.lods.map(lod => lod.low)).forEach(geometry => geometry.dispose());
+        layer.lods = [];
+    }
+
+    // ========== CLIP PLAYBACK ==========
+
+    setupLayerAnimation(layer) {
+        const clips = layer.object.animations || [];
+        if (clips.length === 0) return;
+
+        layer.mixer = new THREE.AnimationMixer(layer.object);
+        layer.clipIndex = 0;
+        layer.clipPlaying = ViewerConfig.clipPlayback.autoPlay;
+        this.playLayerClip(layer);
+
+        console.log(`  ✓ ${clips.length} animation clip(s): ${clips.map(clip => clip.name || '(unnamed)').join(', ')}`);
+    }
+
+    playLayerClip(layer) {
+        // (Re)start the selected clip with the layer's speed/loop settings
+        if (layer.action) {
+            layer.action.stop();
+        }
+
+        const clip = layer.object.animations[layer.clipIndex];
+        layer.action = layer.mixer.clipAction(clip);
+        layer.action.reset();
+        layer.action.setLoop(layer.clipLoop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        layer.action.clampWhenFinished = true; // Hold the last frame instead of snapping back
+        layer.action.timeScale = layer.clipSpeed;
+        layer.action.paused = !layer.clipPlaying;
+        layer.action.play();
+        layer.mixer.update(0);
+    }
+
+    getAnimationState() {
+        // Clip controls always act on the active layer
+        const layer = this.activeLayer;
+        if (!layer || !layer.mixer) return null;
+
+        return {
+            clips: layer.object.animations.map(clip => ({ name: clip.name || '(unnamed)', duration: clip.duration })),
+            clipIndex: layer.clipIndex,
+            playing: layer.clipPlaying,
+            speed: layer.clipSpeed,
+            loop: layer.clipLoop,
+            time: layer.action ? layer.action.time : 0
+        };
+    }
+
+    selectAnimationClip(index) {
+        const layer = this.activeLayer;
+        if (!layer || !layer.mixer || !layer.object.animations[index]) return;
+
+        layer.clipIndex = index;
+        this.playLayerClip(layer);
+        this.onTransformChanged(); // Posed geometry changed
+    }
+
+    setAnimationPlaying(playing) {
+        const layer = this.activeLayer;
+        if (!layer || !layer.action) return;
+
+        // A finished one-shot clip restarts from the beginning
+        if (playing && !layer.clipLoop && layer.action.time >= layer.action.getClip().duration) {
+            layer.action.reset();
+        }
+
+        layer.clipPlaying = playing;
+        layer.action.paused = !playing;
+        layer.action.enabled = true;
+    }
+
+    setAnimationTime(seconds) {
+        const layer = this.activeLayer;
+        if (!layer || !layer.action) return;
+
+        layer.action.time = seconds;
+        layer.mixer.update(0);
+        this.onTransformChanged();
+    }
 
-        console.log(`🔄 Updating HDRI settings (rotation: ${this.hdriRotation}°, intensity: ${this.hdriIntensity})`);
+    setAnimationSpeed(speed) {
+        const layer = this.activeLayer;
+        if (!layer || !layer.action) return;
 
-        // Rotate cube map
-        if (this.scene.environmentRotation) {
-            this.scene.environmentRotation.set(0, rotationRadians, 0);
-        }
-        if (this.scene.backgroundRotation) {
-            this.scene.backgroundRotation.set(0, rotationRadians, 0);
-        }
+        layer.clipSpeed = speed;
+        layer.action.timeScale = speed;
+    }
 
-        // Optionally regenerate
-        if (this.originalHDRITexture && forceRegenerate) {
-            this.generateRotatedEnvironment(this.originalHDRITexture, rotationRadians);
-        }
+    setAnimationLoop(loop) {
+        const layer = this.activeLayer;
+        if (!layer || !layer.action) return;
 
-        // Update tone mapping if HDRI background visible
-        if (this.hdriBackgroundVisible) {
-            this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-            this.renderer.toneMappingExposure = this.hdriIntensity;
-        }
+        layer.clipLoop = loop;
+        layer.action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    }
 
-        // Set scene-level environment intensity (Three.js r162+)
-        // Note: Path tracer may not directly use this, but standard rendering does
-        if (this.scene.environmentIntensity !== undefined) {
-            this.scene.environmentIntensity = this.hdriIntensity;
-        }
+    updateAnimationMixers(delta) {
+        // Returns true when any clip moved this frame
+        if (this.clipExporting) return false;
 
-        // Update material env map intensities (affects both standard and path tracing)
-        this.scene.traverse((child) => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material) ? child.material : [child.material];
-                materials.forEach(mat => {
-                    mat.envMapIntensity = this.hdriIntensity;
-                    mat.needsUpdate = true;
-                });
-            }
-        });
+        let changed = false;
+        this.layers.forEach(layer => {
+            if (!layer.mixer || !layer.clipPlaying) return;
 
-        // Trigger interaction mode for path tracing
-        if (this.pathTracingEnabled && this.pathTracer) {
-            if (!this.isInteracting) {
-                this.isInteracting = true;
+            if (this.clipRecordingStart !== null) {
+                // MP4 recording: clip time follows the recording clock, not accumulated frame deltas
+                layer.mixer.setTime((performance.now() - this.clipRecordingStart) / 1000);
+            } else {
+                layer.mixer.update(delta);
             }
+            changed = true;
 
-            if (this.interactionTimeout) {
-                clearTimeout(this.interactionTimeout);
+            // One-shot clips pause themselves on the last frame
+            if (layer.action && layer.action.paused) {
+                layer.clipPlaying = false;
+                const playBtn = document.getElementById('clip-play-btn');
+                if (playBtn && layer === this.activeLayer) playBtn.textContent = 'Play';
             }
+        });
 
-            this.interactionTimeout = setTimeout(() => {
-                this.isInteracting = false;
-                this.scene.updateMatrixWorld(true);
-                // Use updateEnvironment() instead of setScene() for better performance
-                if (this.pathTracerSceneReady) {
-                    this.pathTracer.updateEnvironment();
-                    console.log('✅ Path tracer environment updated with new HDRI settings');
-                }
-            }, this.interactionDelay);
+        // Keep the scrub slider in step with playback
+        const state = changed ? this.getAnimationState() : null;
+        const clipTime = document.getElementById('clip-time');
+        const clipTimeValue = document.getElementById('clip-time-value');
+        if (state && clipTime && clipTimeValue && document.activeElement !== clipTime) {
+            clipTime.value = state.time;
+            clipTimeValue.textContent = `${state.time.toFixed(2)}s`;
         }
 
-        console.log('  ✓ HDRI settings updated');
+        return changed;
     }
 
-    updateSunLightPosition() {
-        if (!this.sunLight) return;
+    setAnimationClipTime(seconds) {
+        // Deterministic export: every playing clip at the same time from its start
+        this.layers.forEach(layer => {
+            if (layer.mixer && layer.clipPlaying) {
+                layer.mixer.setTime(seconds);
+            }
+        });
+    }
 
-        // Calculate sun direction from azimuth and elevation (spherical coordinates)
-        const azimuthRad = this.sunAzimuth * Math.PI / 180;
-        const elevationRad = this.sunElevation * Math.PI / 180;
+    // ========== MATERIAL VARIANTS ==========
 
-        // Convert spherical to Cartesian coordinates
-        const x = Math.cos(elevationRad) * Math.sin(azimuthRad);
-        const y = Math.sin(elevationRad);
-        const z = Math.cos(elevationRad) * Math.cos(azimuthRad);
+    getMaterialVariants() {
+        // Variant controls always act on the active layer
+        const layer = this.activeLayer;
+        if (!layer || !layer.variants) return null;
 
-        // Position sun light at distance
-        const distance = ViewerConfig.lighting.sunDistance;
-        this.sunLight.position.set(x * distance, y * distance, z * distance);
-        this.sunLight.target.position.set(0, 0, 0);
-        this.sunLight.target.updateMatrixWorld();
+        return { names: layer.variants.names, active: layer.variants.active };
+    }
 
-        // Update color, intensity, and visibility
-        this.sunLight.color.setStyle(this.sunColor);
-        this.sunLight.intensity = this.sunIntensity;
-        this.sunLight.visible = this.sunEnabled;
+    async selectMaterialVariant(index) {
+        // index is a KHR_materials_variants variant, or null for the file's default materials
+        const layer = this.activeLayer;
+        if (!layer || !layer.variants) return;
 
-        // Update shadow properties (VSM supports radius for blur)
-        this.sunLight.shadow.radius = this.shadowSoftness;
-        this.sunLight.shadow.bias = -0.0001 * this.shadowIntensity;
+        const variants = layer.variants;
+        const request = ++variants.request;
 
-        // Trigger interaction mode for path tracing
-        if (this.pathTracingEnabled && this.pathTracer) {
-            if (!this.isInteracting) {
-                this.isInteracting = true;
+        // Fetch every mesh's material for this variant first, so the swap happens in one frame
+        const swaps = [];
+        layer.object.traverse((child) => {
+            const extension = child.isMesh && child.userData.gltfExtensions &&
+                child.userData.gltfExtensions.KHR_materials_variants;
+            if (!extension) return;
+
+            if (!variants.defaults.has(child)) {
+                variants.defaults.set(child, child.material);
             }
 
-            if (this.interactionTimeout) {
-                clearTimeout(this.interactionTimeout);
+            // Meshes without a mapping for this variant keep their default material
+            const mapping = index === null ? null :
+                (extension.mappings || []).find(m => m.variants.includes(index));
+            swaps.push(mapping ?
+                variants.parser.getDependency('material', mapping.material).then(material => ({ mesh: child, material, mapped: true })) :
+                Promise.resolve({ mesh: child, material: variants.defaults.get(child), mapped: false }));
+        });
+
+        let results;
+        try {
+            results = await Promise.all(swaps);
+        } catch (error) {
+            console.error('❌ Failed to load material variant:', error);
+            return;
+        }
+
+        // A newer selection, another layer or a reload won the race
+        if (request !== variants.request || this.activeLayer !== layer || layer.variants !== variants) return;
+
+        // Presets edit materials in place, so restore the originals before they are swapped out
+        const preset = layer.preset;
+        if (preset !== 'custom') {
+            this.applyShaderPreset('custom');
+        }
+
+        results.forEach(({ mesh, material, mapped }) => {
+            mesh.material = material;
+            if (mapped) {
+                variants.materials.add(material);
+                variants.parser.assignFinalMaterial(mesh); // Vertex colours, flat shading, points/lines
+                variants.materials.add(mesh.material);
             }
+            this.originalMaterials.delete(`${mesh.uuid}_0`);
+        });
 
-            this.interactionTimeout = setTimeout(() => {
-                this.isInteracting = false;
-                this.scene.updateMatrixWorld(true);
-                // Use updateLights() instead of setScene() for better performance
-                if (this.pathTracerSceneReady) {
-                    this.pathTracer.updateLights();
-                    console.log('✅ Path tracer lights updated with new sun light settings');
-                }
-            }, this.interactionDelay);
+        variants.active = index;
+        if (preset !== 'custom') {
+            this.applyShaderPreset(preset);
         }
+        this.applyEnvironmentToModel();
+        this.resetPathTracerScene();
+        this.notifyLayersChanged(); // Inspector material list
+
+        console.log(`🎨 Material variant: ${index === null ? 'Default' : variants.names[index]}`);
     }
 
-    // ========== MODEL LOADING ==========
+    async exportMaterialVariants() {
+        // One PNG per variant through the normal export compositing, then back to the current one
+        const layer = this.activeLayer;
+        if (!layer || !layer.variants) return;
 
-    loadModel(file) {
-        const fileName = file.name.toLowerCase();
-        const fileURL = URL.createObjectURL(file);
+        const variants = layer.variants;
+        const previous = variants.active;
+        const baseName = layer.name.replace(/\.[^.]+$/, '');
 
-        console.log(`📦 Loading model: ${file.name}...`);
+        console.log(`📸 Exporting ${variants.names.length} material variants...`);
+        for (let index = 0; index < variants.names.length; index++) {
+            await this.selectMaterialVariant(index);
+            if (this.activeLayer !== layer || layer.variants !== variants) return;
 
-        this.clearModel();
+            const variantName = variants.names[index].replace(/[^a-z0-9-_]+/gi, '_');
+            this.exportPNG(`${baseName}-${variantName}.png`);
 
-        if (fileName.endsWith('.glb') || fileName.endsWith('.gltf')) {
-            this.loadGLTF(fileURL, file.name);
-        } else if (fileName.endsWith('.fbx')) {
-            this.loadFBX(fileURL, file.name);
-        } else {
-            console.error('❌ Unsupported file format');
-            alert('Please upload a GLB, GLTF, or FBX file');
+            // Give the browser time to start each download
+            await new Promise(resolve => setTimeout(resolve, 300));
         }
-    }
 
-    loadGLTF(url, filename) {
-        // Check if this is a GLTF (not GLB) which requires external files
-        const isGLTF = filename.toLowerCase().endsWith('.gltf');
+        await this.selectMaterialVariant(previous);
+        console.log('✅ Material variant export completed');
+    }
 
-        if (isGLTF) {
-            console.warn('⚠️ GLTF format detected - requires external texture/bin files');
-            console.warn('💡 Recommendation: Convert to GLB format for single-file upload');
-            console.warn('📝 Online converter: https://products.aspose.app/3d/conversion/gltf-to-glb');
+    // ========== MORPH TARGETS ==========
 
-            alert(
-                '⚠️ GLTF Format Limitation\n\n' +
-                'GLTF files reference external textures and binary data.\n' +
-                'This viewer currently supports single-file uploads only.\n\n' +
-                '✅ Solution: Convert to GLB format (binary GLTF)\n' +
-                'GLB packages all resources into a single file.\n\n' +
-                'Free converter: https://products.aspose.app/3d/conversion/gltf-to-glb'
-            );
-            return;
-        }
+    getMorphMeshes(layer) {
+        const meshes = [];
+        if (!layer || !layer.object) return meshes;
 
-        this.gltfLoader.load(
-            url,
-            (gltf) => {
-                this.currentModel = gltf.scene;
-                this.processLoadedModel();
-                console.log(`✅ GLTF loaded: ${filename}`);
-            },
-            (progress) => {
-                if (progress.total > 0) {
-                    const percent = (progress.loaded / progress.total * 100).toFixed(0);
-                    console.log(`  Loading: ${percent}%`);
-                }
-            },
-            (error) => {
-                console.error('❌ Error loading GLTF:', error);
-                alert('Failed to load model. Check console for details.');
+        layer.object.traverse((child) => {
+            if (child.morphTargetDictionary && child.morphTargetInfluences) {
+                meshes.push(child);
             }
-        );
+        });
+        return meshes;
     }
 
-    loadFBX(url, filename) {
-        this.fbxLoader.load(
-            url,
-            (fbx) => {
-                this.currentModel = fbx;
-                this.processLoadedModel();
-                console.log(`✅ FBX loaded: ${filename}`);
-            },
-            (progress) => {
-                if (progress.total > 0) {
-                    const percent = (progress.loaded / progress.total * 100).toFixed(0);
-                    console.log(`  Loading: ${percent}%`);
+    getMorphState() {
+        // Morph sliders always act on the active layer; meshes sharing a target name move together
+        const layer = this.activeLayer;
+        const targets = new Map();
+        this.getMorphMeshes(layer).forEach(mesh => {
+            Object.entries(mesh.morphTargetDictionary).forEach(([name, index]) => {
+                if (!targets.has(name)) {
+                    targets.set(name, mesh.morphTargetInfluences[index]);
                 }
-            },
-            (error) => {
-                console.error('❌ Error loading FBX:', error);
-                alert('Failed to load model. Check console for details.');
-            }
-        );
-    }
+            });
+        });
+        if (targets.size === 0) return null;
 
-    processLoadedModel() {
-        if (!this.currentModel) return;
+        return {
+            targets: Array.from(targets, ([name, value]) => ({ name, value })),
+            keyframes: layer.morphKeyframes.length
+        };
+    }
 
-        // Add to container
-        this.modelContainer.add(this.currentModel);
+    applyMorphValues(layer, values) {
+        this.getMorphMeshes(layer).forEach(mesh => {
+            Object.entries(values).forEach(([name, value]) => {
+                const index = mesh.morphTargetDictionary[name];
+                if (index !== undefined) {
+                    mesh.morphTargetInfluences[index] = value;
+                }
+            });
+        });
+    }
 
-        // Auto-center
-        if (ViewerConfig.model.autoCenter) {
-            this.centerModel();
-        }
+    setMorphInfluence(name, value) {
+        if (!this.activeLayer) return;
 
-        // Auto-scale
-        if (ViewerConfig.model.autoScale) {
-            this.autoScaleModel();
-        }
+        this.applyMorphValues(this.activeLayer, { [name]: value });
+        this.onTransformChanged(); // Posed geometry changed
+    }
 
-        // Enable shadows
-        if (ViewerConfig.model.enableShadows) {
-            this.enableModelShadows();
-        }
+    addMorphKeyframe() {
+        // Snapshot the current slider values as the next keyframe
+        const state = this.getMorphState();
+        if (!state) return 0;
 
-        // Apply environment
-        this.applyEnvironmentToModel();
+        const values = {};
+        state.targets.forEach(target => {
+            values[target.name] = target.value;
+        });
+        this.activeLayer.morphKeyframes.push(values);
 
-        console.log('  ✓ Model processed (centered, scaled, shadows enabled)');
+        console.log(`🔑 Morph keyframe ${state.keyframes + 1} added`);
+        return state.keyframes + 1;
     }
 
-    centerModel() {
-        if (!this.currentModel) return;
-
-        const box = new THREE.Box3().setFromObject(this.currentModel);
-        const center = box.getCenter(new THREE.Vector3());
+    clearMorphKeyframes() {
+        if (!this.activeLayer) return;
+        this.activeLayer.morphKeyframes = [];
+    }
 
-        this.currentModel.position.x = -center.x;
-        this.currentModel.position.y = -center.y;
-        this.currentModel.position.z = -center.z;
+    getMorphValuesAt(keyframes, time) {
+        // Keyframes are evenly spaced and the last one blends back into the first, so the loop is seamless
+        if (keyframes.length === 1) return keyframes[0];
+
+        const segment = this.morphDuration / keyframes.length;
+        const position = (time % this.morphDuration) / segment;
+        const index = Math.floor(position);
+        const from = keyframes[index];
+        const to = keyframes[(index + 1) % keyframes.length];
+        const t = position - index;
+
+        const values = {};
+        Object.keys(from).forEach(name => {
+            const target = to[name] !== undefined ? to[name] : from[name];
+            values[name] = from[name] + (target - from[name]) * t;
+        });
+        return values;
     }
 
-    autoScaleModel() {
-        if (!this.currentModel) return;
+    applyMorphAnimation(time) {
+        // Returns true when any layer has keyframes to play
+        let changed = false;
+        this.layers.forEach(layer => {
+            if (layer.morphKeyframes.length === 0) return;
 
-        const box = new THREE.Box3().setFromObject(this.currentModel);
-        const size = box.getSize(new THREE.Vector3());
-        const maxDim = Math.max(size.x, size.y, size.z);
+            this.applyMorphValues(layer, this.getMorphValuesAt(layer.morphKeyframes, time));
+            changed = true;
+        });
+        return changed;
+    }
 
-        const scale = ViewerConfig.model.targetSize / maxDim;
-        this.modelContainer.scale.setScalar(scale);
+    saveMorphState() {
+        // Keyed by model so a layer reloaded mid-animation is not restored with stale names
+        this.morphBeforeAnimation = new Map();
+        this.layers.forEach(layer => {
+            if (layer.morphKeyframes.length === 0) return;
 
-        return scale;
+            const values = {};
+            this.getMorphMeshes(layer).forEach(mesh => {
+                Object.entries(mesh.morphTargetDictionary).forEach(([name, index]) => {
+                    values[name] = mesh.morphTargetInfluences[index];
+                });
+            });
+            this.morphBeforeAnimation.set(layer.object, values);
+        });
     }
 
-    enableModelShadows() {
-        if (!this.currentModel) return;
+    restoreMorphState() {
+        if (!this.morphBeforeAnimation) return;
 
-        let meshCount = 0;
-        this.currentModel.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-                meshCount++;
+        this.layers.forEach(layer => {
+            const values = this.morphBeforeAnimation.get(layer.object);
+            if (values) {
+                this.applyMorphValues(layer, values);
             }
         });
-
-        console.log(`  ✓ Enabled shadows for ${meshCount} meshes`);
+        this.morphBeforeAnimation = null;
     }
 
-    applyEnvironmentToModel() {
-        if (!this.currentModel) return;
+    // ========== FILE CAMERAS ==========
 
-        this.currentModel.traverse((child) => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material) ? child.material : [child.material];
+    getCameraState() {
+        // Cameras authored in any layer's file (glTF/FBX); activeId is null for the orbit camera
+        const cameras = [];
+        this.layers.forEach(layer => {
+            if (!layer.object) return;
 
-                materials.forEach(mat => {
-                    mat.envMapIntensity = this.hdriIntensity;
-                    mat.needsUpdate = true;
+            layer.object.traverse((child) => {
+                if (!child.isPerspectiveCamera && !child.isOrthographicCamera) return;
+
+                cameras.push({
+                    id: child.uuid,
+                    name: child.name || `Camera ${cameras.length + 1}`,
+                    layerName: layer.name,
+                    orthographic: !!child.isOrthographicCamera
                 });
-            }
+            });
         });
+
+        return {
+            cameras,
+            activeId: this.fileCamera ? this.fileCamera.uuid : null
+        };
     }
 
-    applyShaderPreset(presetName) {
-        if (!this.currentModel) {
-            console.warn('⚠️ No model loaded to apply shader preset');
-            return;
-        }
+    isFileCameraIn(object) {
+        if (!this.fileCamera || !object) return false;
 
-        const preset = ViewerConfig.shaderPresets[presetName];
-        if (!preset) {
-            console.error(`❌ Unknown shader preset: ${presetName}`);
+        let found = false;
+        object.traverse((child) => {
+            if (child === this.fileCamera) found = true;
+        });
+        return found;
+    }
+
+    setActiveCamera(uuid) {
+        // File cameras stay in the model hierarchy; the viewport renders through a copy placed each frame
+        // (see updateFileCameraView)
+        let camera = null;
+        this.layers.forEach(layer => {
+            if (!camera && layer.object) {
+                camera = layer.object.getObjectByProperty('uuid', uuid) || null;
+            }
+        });
+        if (!camera || !camera.isCamera) {
+            console.warn(`⚠️ Camera not found: ${uuid}`);
             return;
         }
 
-        console.log(`🎨 Applying shader preset: ${presetName}`);
-        this.currentShaderPreset = presetName;
-
-        this.currentModel.traverse((child) => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material) ? child.material : [child.material];
-
-                materials.forEach((mat, idx) => {
-                    // Store original properties on first preset application
-                    const matKey = `${child.uuid}_${idx}`;
-                    if (!this.originalMaterials.has(matKey)) {
-                        this.originalMaterials.set(matKey, {
-                            roughness: mat.roughness,
-                            metalness: mat.metalness,
-                            transmission: mat.transmission || 0,
-                            clearcoat: mat.clearcoat || 0,
-                            color: mat.color ? mat.color.clone() : new THREE.Color(0xffffff),
-                            map: mat.map
-                        });
-                    }
-
-                    // Apply preset or restore original
-                    if (presetName === 'custom') {
-                        // Restore original properties
-                        const original = this.originalMaterials.get(matKey);
-                        if (original) {
-                            mat.roughness = original.roughness;
-                            mat.metalness = original.metalness;
-                            mat.transmission = original.transmission;
-                            mat.clearcoat = original.clearcoat;
-                            mat.color.copy(original.color);
-                            mat.map = original.map;
-                        }
-                    } else {
-                        // Apply preset properties (only if not null)
-                        if (preset.roughness !== null) mat.roughness = preset.roughness;
-                        if (preset.metalness !== null) mat.metalness = preset.metalness;
-                        if (preset.transmission !== null) mat.transmission = preset.transmission;
-                        if (preset.clearcoat !== null) mat.clearcoat = preset.clearcoat;
+        this.fileCamera = camera;
+        this.camera = camera.clone(false);
+        this.updateFileCameraView();
+        this.updateCameraAspect(this.camera, this.canvas.width / this.canvas.height);
 
-                        // Apply color override (for clay preset)
-                        if (preset.color !== null) {
-                            mat.color.setStyle(preset.color);
-                            // Remove texture map to show solid color
-                            mat.map = null;
-                        } else {
-                            // Restore original texture map if no color override
-                            const original = this.originalMaterials.get(matKey);
-                            if (original && original.map) {
-                                mat.map = original.map;
-                            }
-                        }
+        // Orbiting would fight the authored framing
+        if (this.orbitControls) {
+            this.orbitControls.enabled = false;
+        }
 
-                        // Enable transparency if using transmission
-                        if (preset.transmission > 0) {
-                            mat.transparent = true;
-                            mat.opacity = 1.0;
-                        }
-                    }
+        this.resetPathTracerScene();
+        console.log(`🎥 Viewing through file camera: ${camera.name || camera.uuid}`);
+    }
 
-                    mat.needsUpdate = true;
-                });
-            }
-        });
+    useOrbitCamera() {
+        if (this.camera === this.orbitCamera) return;
 
-        // Reset path tracing if active (material changed)
-        if (this.pathTracingEnabled && this.pathTracer) {
-            this.pathTracer.reset();
+        this.camera = this.orbitCamera;
+        this.fileCamera = null;
+        if (this.orbitControls) {
+            this.orbitControls.enabled = this.orbitEnabled;
         }
 
-        console.log(`  ✓ Shader preset applied: ${presetName}`);
+        this.resetPathTracerScene();
+        console.log('🎥 Back to orbit camera');
     }
 
-    clearModel() {
-        if (this.currentModel) {
-            this.modelContainer.remove(this.currentModel);
+    updateFileCameraView() {
+        // Give the stand-in the file camera's pose relative to modelContainer: layer fitting, the import
+        // correction and animation clips still place it, but turntable/sine animation and the global
+        // transform sliders move the model in front of the camera instead of carrying the camera along
+        if (!this.fileCamera) return;
 
-            // Dispose geometries and materials
-            this.currentModel.traverse((child) => {
-                if (child.isMesh) {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(mat => mat.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
-            });
+        this.fileCamera.updateWorldMatrix(true, false); // Also updates modelContainer
+        const matrix = this.modelContainer.matrixWorld.clone().invert().multiply(this.fileCamera.matrixWorld);
+        matrix.decompose(this.camera.position, this.camera.quaternion, this.camera.scale);
+        this.camera.updateMatrixWorld();
+    }
 
-            this.currentModel = null;
-            this.originalMaterials.clear(); // Clear stored original materials
-            this.currentShaderPreset = 'custom'; // Reset preset
+    updateCameraAspect(camera, aspect) {
+        if (camera.isOrthographicCamera) {
+            // Keep the authored vertical extent and widen or narrow it to the canvas
+            const halfHeight = (camera.top - camera.bottom) / 2;
+            const centerX = (camera.left + camera.right) / 2;
+            camera.left = centerX - halfHeight * aspect;
+            camera.right = centerX + halfHeight * aspect;
+        } else {
+            camera.aspect = aspect;
         }
+        camera.updateProjectionMatrix();
     }
 
     // ========== TRANSFORMS ==========
@@ -972,6 +4004,10 @@ class ModelViewer {
         rotMatrix.multiply(matY).multiply(matX).multiply(matZ);
         this.modelContainer.rotation.setFromRotationMatrix(rotMatrix);
 
+        this.onTransformChanged();
+    }
+
+    onTransformChanged() {
         // Trigger interaction mode for path tracing
         if (this.pathTracingEnabled && this.pathTracer) {
             // Switch to interaction mode (standard rendering)
@@ -997,6 +4033,7 @@ class ModelViewer {
                 this.scene.updateMatrixWorld(true);
 
                 // Update path tracer with new scene state
+                this.setLODActive(false);
                 this.pathTracer.setScene(this.scene, this.camera);
 
                 console.log('✅ Path tracer updated with new transform state');
@@ -1371,6 +4408,12 @@ The standard renderer will continue to work normally.`;
                 this.sineTime = 0; // Reset sine wave time
                 console.log('💾 Saved model rotation state before animation');
             }
+
+            if (this.animationMode === 'morph') {
+                // Save slider values so stopping returns to the pose being edited
+                this.saveMorphState();
+                this.morphTime = 0;
+            }
         } else if (!enabled && this.animationEnabled) {
             // Stopping animation - restore original rotation
             if (this.animationMode === 'light-rotation' && this.hdriRotationBeforeAnimation !== null) {
@@ -1390,6 +4433,11 @@ The standard renderer will continue to work normally.`;
                 console.log('🔄 Restored model rotation state after animation');
                 this.rotationBeforeAnimation = null;
             }
+
+            if (this.animationMode === 'morph') {
+                this.restoreMorphState();
+                this.onTransformChanged();
+            }
         }
 
         this.animationEnabled = enabled;
@@ -1405,6 +4453,7 @@ The standard renderer will continue to work normally.`;
 
         this.animationMode = mode;
         this.sineTime = 0; // Reset sine wave time when switching modes
+        this.morphTime = 0;
 
         // Re-enable animation if it was running
         if (wasEnabled) {
@@ -1426,6 +4475,11 @@ The standard renderer will continue to work normally.`;
             this.orbitControls.update();
         }
 
+        // Embedded animation clips
+        if (this.updateAnimationMixers(this.clipClock.getDelta())) {
+            sceneChanged = true;
+        }
+
         // Animation (turntable, sine wave, or light rotation)
         if (this.animationEnabled) {
             if (this.animationMode === 'light-rotation') {
@@ -1529,6 +4583,12 @@ The standard renderer will continue to work normally.`;
                 this.modelContainer.rotation.z = rotZ;
 
                 sceneChanged = true;
+            } else if (this.animationMode === 'morph' && !this.clipExporting) {
+                // Morph animation - blend between the keyframed slider values
+                this.morphTime += 1 / 60; // Increment time (assuming 60fps)
+                if (this.applyMorphAnimation(this.morphTime)) {
+                    sceneChanged = true;
+                }
             }
         }
 
@@ -1557,6 +4617,7 @@ The standard renderer will continue to work normally.`;
                 this.scene.updateMatrixWorld(true);
 
                 // Update path tracer scene and camera with current state
+                this.setLODActive(false);
                 this.pathTracer.setScene(this.scene, this.camera);
 
                 console.log('✅ Path tracer updated with new scene state');
@@ -1567,6 +4628,19 @@ The standard renderer will continue to work normally.`;
     }
 
     render() {
+        // Global transform sliders and animation move the composition; keep it in the shadow map
+        this.updateSunShadowFrustum();
+        this.updateFileCameraView();
+
+        // Simplified geometry while the view is moving; recordings always use full detail
+        this.setLODActive((this.isInteracting || this.orbitActive) && !this.isRecording);
+
+        // Keep the inspector highlight in sync with animation, but never record it
+        if (this.selectionHelper) {
+            this.selectionHelper.update();
+            this.selectionHelper.visible = !this.isRecording;
+        }
+
         if (this.pathTracingEnabled && this.pathTracer && !this.isInteracting) {
             // Path tracing mode (only when NOT interacting)
             // rasterizeScene=true shows immediate rasterized preview
@@ -1602,7 +4676,7 @@ The standard renderer will continue to work normally.`;
 
     // ========== EXPORT ==========
 
-    exportPNG() {
+    exportPNG(filename = `3d-render-${Date.now()}.png`) {
         console.log('📸 Exporting PNG...');
         console.log(`  Foreground image: ${this.foregroundImage ? 'loaded' : 'none'}`);
 
@@ -1646,7 +4720,7 @@ The standard renderer will continue to work normally.`;
         // Convert to PNG and download
         const dataURL = exportCanvas.toDataURL('image/png');
         const link = document.createElement('a');
-        link.download = `3d-render-${Date.now()}.png`;
+        link.download = filename;
         link.href = dataURL;
         document.body.appendChild(link);
         link.click();
@@ -1798,6 +4872,7 @@ The standard renderer will continue to work normally.`;
                 this.isRecording = false;
                 this.recordingCanvas = null;
                 this.recordingCtx = null;
+                this.clipRecordingStart = null;
             };
 
             mediaRecorder.onerror = (event) => {
@@ -1808,9 +4883,13 @@ The standard renderer will continue to work normally.`;
                 this.isRecording = false;
                 this.recordingCanvas = null;
                 this.recordingCtx = null;
+                this.clipRecordingStart = null;
             };
 
-            // Start recording
+            // Start recording; animation clips restart and follow the recording clock
+            this.setAnimationClipTime(0);
+            this.morphTime = 0;
+            this.clipRecordingStart = performance.now();
             mediaRecorder.start(200);
 
             // Progress indicator
@@ -1840,6 +4919,7 @@ The standard renderer will continue to work normally.`;
             this.isRecording = false;
             this.recordingCanvas = null;
             this.recordingCtx = null;
+            this.clipRecordingStart = null;
         }
     }
 
@@ -1878,6 +4958,11 @@ The standard renderer will continue to work normally.`;
                 }
             }
 
+            // Animation clips and morph keyframes are stepped by frame number, independent of render speed
+            const clipTimes = this.layers.map(layer => (layer.action ? layer.action.time : 0));
+            const animateMorphs = this.animationEnabled && this.animationMode === 'morph';
+            this.clipExporting = true;
+
             for (let frame = 0; frame < totalFrames; frame++) {
                 exportBtn.textContent = `Frame ${frame + 1}/${totalFrames}`;
 
@@ -1886,6 +4971,11 @@ The standard renderer will continue to work normally.`;
                     this.modelContainer.rotation.y = rotationValues[frame];
                 }
 
+                this.setAnimationClipTime(frame / frameRate);
+                if (animateMorphs) {
+                    this.applyMorphAnimation(frame / frameRate);
+                }
+
                 // Force Three.js to update the scene graph
                 if (this.modelContainer) {
                     this.modelContainer.updateMatrixWorld(true);
@@ -1908,6 +4998,15 @@ The standard renderer will continue to work normally.`;
                 this.modelContainer.updateMatrixWorld(true);
             }
 
+            // Resume clips where they were before the export
+            this.layers.forEach((layer, index) => {
+                if (layer.action) {
+                    layer.action.time = clipTimes[index];
+                    layer.mixer.update(0);
+                }
+            });
+            this.clipExporting = false;
+
             exportBtn.textContent = 'Creating ZIP...';
 
             // Create ZIP archive
@@ -1965,6 +5064,7 @@ ${isTransparent ?
             console.error('PNG sequence export failed:', error);
             alert('PNG sequence export failed. Please try again.');
         } finally {
+            this.clipExporting = false;
             exportBtn.textContent = originalText;
             exportBtn.disabled = false;
         }
@@ -2138,7 +5238,12 @@ ${isTransparent ?
         }
 
         // Render Three.js scene (background is already handled by scene.background)
+        // Exports are always full detail; the inspector highlight is viewport-only
+        this.setLODActive(false);
+        this.updateFileCameraView();
+        if (this.selectionHelper) this.selectionHelper.visible = false;
         this.renderer.render(this.scene, this.camera);
+        if (this.selectionHelper) this.selectionHelper.visible = true;
 
         // Composite Three.js canvas
         ctx.drawImage(this.canvas, 0, 0, width, height);
@@ -2180,6 +5285,8 @@ ${isTransparent ?
         }
 
         this.clearModel();
+        if (this.dracoLoader) this.dracoLoader.dispose();
+        if (this.ktx2Loader) this.ktx2Loader.dispose();
         this.renderer.dispose();
         this.pmremGenerator.dispose();
 